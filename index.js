@@ -6,8 +6,20 @@ const TelegramBot = require('node-telegram-bot-api');
 const mongoose = require('mongoose');
 const express = require('express');
 const cors = require('cors');
+const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fse = require('fs-extra');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const {
+  createTmdbMetadataProvider,
+  createFixtureMetadataProvider,
+  getLanguageName
+} = require('./lib/metadata-providers');
+const { createLinkProber } = require('./lib/link-probe');
 
 // ================================================================
 // CONFIGURATION
@@ -19,7 +31,49 @@ const PORT = process.env.PORT || 1024;
 const USE_WEBHOOK = process.env.USE_WEBHOOK === 'true';
 // FIX: Use the provided Koyeb URL for the frontend.
 const KOYEB_URL = 'https://future-ester-seeutech-645c6129.koyeb.app';
+const FRONTEND_URL = 'https://seeubot.github.io/NS';
+// Public address of this server for absolute links in feeds and Stremio responses. When unset,
+// the host the request came in on is used (behind a proxy this needs TRUST_PROXY_HOPS).
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
 const WEBHOOK_PATH = `/bot${BOT_TOKEN}`;
+// Comma-separated Telegram user IDs that are always treated as admins.
+const ADMIN_IDS = (process.env.ADMIN_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim()))
+  .filter(id => !isNaN(id));
+const DEFAULT_BOT_ROLE = process.env.DEFAULT_BOT_ROLE || 'viewer';
+// Where in-progress bot conversations are kept: 'memory' (default) or 'mongo'.
+const SESSION_STORE = process.env.SESSION_STORE || 'memory';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+// Metadata auto-fill for new titles: 'tmdb', 'fixture' (local JSON file) or unset to disable.
+const METADATA_PROVIDER = process.env.METADATA_PROVIDER || (process.env.TMDB_API_KEY ? 'tmdb' : '');
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const TMDB_REGION = process.env.TMDB_REGION || 'US';
+const METADATA_FIXTURE_PATH = process.env.METADATA_FIXTURE_PATH || path.join(__dirname, 'metadata-fixture.json');
+// Background check of every streaming/thumbnail URL; 0 hours disables it. Admins get a digest
+// of broken links daily at LINK_DIGEST_HOUR (UTC).
+const LINK_CHECK_INTERVAL_HOURS = Number(process.env.LINK_CHECK_INTERVAL_HOURS ?? 6);
+const LINK_CHECK_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS) || 10000;
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY) || 4;
+const LINK_DIGEST_HOUR = Number(process.env.LINK_DIGEST_HOUR ?? 9);
+// Channel (@name or numeric ID) that gets an announcement for every new title; the bot must
+// be an admin there. Telegram allows about 30 messages per second overall.
+const ANNOUNCE_CHANNEL_ID = process.env.ANNOUNCE_CHANNEL_ID;
+const BROADCAST_RATE_PER_SECOND = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 20;
+// Token-bucket limits as sustained requests per minute plus a burst; a rate of 0 disables that
+// limit. The 'mongo' store shares buckets between instances, 'memory' (default) is per process.
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const API_RATE_LIMIT_PER_MINUTE = Number(process.env.API_RATE_LIMIT_PER_MINUTE ?? 120);
+const API_RATE_LIMIT_BURST = parseInt(process.env.API_RATE_LIMIT_BURST) || 60;
+const API_KEY_RATE_LIMIT_PER_MINUTE = Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE ?? 600);
+const API_KEY_RATE_LIMIT_BURST = parseInt(process.env.API_KEY_RATE_LIMIT_BURST) || 200;
+const BOT_RATE_LIMIT_PER_MINUTE = Number(process.env.BOT_RATE_LIMIT_PER_MINUTE ?? 30);
+const BOT_RATE_LIMIT_BURST = parseInt(process.env.BOT_RATE_LIMIT_BURST) || 10;
+// Number of reverse proxies in front of the app, so req.ip is the client's address; set it to 1
+// on Koyeb. Without a proxy X-Forwarded-For comes from the client, so it is ignored by default.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS) || 0;
 
 if (!BOT_TOKEN) {
   console.error('❌ BOT_TOKEN not found in environment variables. Please set it.');
@@ -29,6 +83,9 @@ if (!MONGODB_URI) {
   console.error('❌ MONGODB_URI not found in environment variables. Please set it.');
   process.exit(1);
 }
+if (ADMIN_IDS.length === 0) {
+  console.warn('⚠️ ADMIN_IDS is not set. Nobody will be able to grant roles until an admin ID is configured.');
+}
 if (USE_WEBHOOK && !KOYEB_URL) {
   console.error('❌ FRONTEND_URL (KOYEB_URL) is required for webhook mode. Please set it.');
   process.exit(1);
@@ -54,885 +111,6459 @@ mongoose.set('strictQuery', false);
 mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
-}).then(() => {
+}).then(async () => {
   console.log('✅ Connected to MongoDB');
+  if (SESSION_STORE === 'mongo') {
+    // Drops the old one-session-per-chat unique index.
+    await BotSession.syncIndexes().catch(error => console.error('❌ Error syncing session indexes:', error));
+  }
+  await seedAdmins();
+  await purgeExpiredTrash();
+  await backfillEpisodeDates();
+  processDeliveryQueue();
+  if (LINK_CHECK_INTERVAL_HOURS > 0) {
+    // The first check waits a minute so it doesn't compete with startup.
+    setTimeout(scheduledLinkHealthCheck, 60 * 1000).unref();
+  }
 }).catch(err => {
   console.error('❌ MongoDB connection error:', err);
   process.exit(1);
 });
 
+// Optional descriptive fields shared by movies and series (see METADATA_FIELDS).
+const metadataSchemaFields = {
+  description: String,
+  year: { type: Number, index: true },
+  genres: { type: [String], index: true },
+  cast: [String],
+  language: String,
+  runtime: Number,
+  contentRating: String,
+  backdrop: String
+};
+
+const SOURCE_FORMATS = ['mp4', 'm3u8', 'dash', 'webm'];
+
+// Last background probe of a link (see LINK HEALTH).
+const linkCheckSchema = new mongoose.Schema({
+  url: String,
+  status: { type: String, enum: ['ok', 'broken'] },
+  statusCode: Number,
+  latencyMs: Number,
+  error: String,
+  checkedAt: Date
+}, { _id: false });
+
+// Alternative hosts/qualities for a movie or episode, tried in priority order (lowest first).
+// streamingUrl always mirrors the first source so older clients keep working.
+const sourceSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  label: String,
+  quality: String,
+  format: { type: String, enum: SOURCE_FORMATS },
+  language: String,
+  priority: { type: Number, default: 0 },
+  // Only set on the sources after the first, whose URL is checked as the item's streamingUrl.
+  linkHealth: linkCheckSchema
+});
+
+const subtitleTrackSchema = new mongoose.Schema({
+  subtitleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  language: { type: String, required: true },
+  label: String
+}, { _id: false });
+
 const movieSchema = new mongoose.Schema({
   name: { type: String, required: true },
   thumbnail: { type: String, required: true },
   streamingUrl: { type: String, required: true },
+  sources: [sourceSchema],
+  subtitles: [subtitleTrackSchema],
+  linkHealth: { streamingUrl: linkCheckSchema, thumbnail: linkCheckSchema },
+  ...metadataSchemaFields,
   addedBy: { type: Number, required: true },
-  addedAt: { type: Date, default: Date.now }
+  addedAt: { type: Date, default: Date.now },
+  updatedBy: Number,
+  updatedAt: Date
 });
 
 const seriesSchema = new mongoose.Schema({
   name: { type: String, required: true },
   thumbnail: { type: String, required: true },
+  linkHealth: { thumbnail: linkCheckSchema },
+  ...metadataSchemaFields,
   seasons: [{
     seasonNumber: { type: Number, required: true },
     episodes: [{
       episodeNumber: { type: Number, required: true },
       title: { type: String, required: true },
       streamingUrl: { type: String, required: true },
-      thumbnail: String
+      sources: [sourceSchema],
+      subtitles: [subtitleTrackSchema],
+      thumbnail: String,
+      // Seconds from the start; the player offers "Skip Intro" and starts the next-episode countdown at the credits.
+      introStart: Number,
+      introEnd: Number,
+      creditsStart: Number,
+      // Set when the episode is first saved (see the pre-save hook below); used by the feeds.
+      addedAt: Date,
+      linkHealth: { streamingUrl: linkCheckSchema, thumbnail: linkCheckSchema }
     }]
   }],
   addedBy: { type: Number, required: true },
-  addedAt: { type: Date, default: Date.now }
+  addedAt: { type: Date, default: Date.now },
+  updatedBy: Number,
+  updatedAt: Date
 });
 
 movieSchema.index({ name: 'text' });
 seriesSchema.index({ name: 'text' });
 
+// Any write to the library invalidates cached public responses (see HTTP CACHING). Queries
+// that only touch bookkeeping fields such as linkHealth opt out with { skipLibraryVersion: true }.
+function bumpLibraryVersionAfterWrite() {
+  if (this instanceof mongoose.Query && this.getOptions().skipLibraryVersion) return;
+  bumpLibraryVersion();
+}
+
+[movieSchema, seriesSchema].forEach(schema => {
+  schema.post(['save', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndRemove', 'deleteMany', 'insertMany'], bumpLibraryVersionAfterWrite);
+  schema.post(['deleteOne', 'remove'], { document: true, query: true }, bumpLibraryVersionAfterWrite);
+});
+
+// Episodes have no default addedAt (a default would also fill in old episodes whenever they
+// are loaded), so new ones are stamped on save instead.
+seriesSchema.pre('save', function () {
+  const now = new Date();
+  this.seasons.forEach(season => season.episodes.forEach(episode => {
+    if (!episode.addedAt) episode.addedAt = now;
+  }));
+});
+
+const botUserSchema = new mongoose.Schema({
+  telegramId: { type: Number, required: true, unique: true },
+  role: { type: String, enum: ['admin', 'editor', 'viewer'], required: true },
+  grantedBy: Number,
+  grantedAt: { type: Date, default: Date.now }
+});
+
+const botSessionSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true },
+  // Set in group chats, where every member has their own session.
+  userId: { type: Number, default: null },
+  state: String,
+  data: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { minimize: false });
+
+botSessionSchema.index({ chatId: 1, userId: 1 }, { unique: true });
+
+const trashItemSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['movie', 'series', 'season', 'episode'], required: true },
+  label: { type: String, required: true },
+  seriesId: mongoose.Schema.Types.ObjectId,
+  seasonNumber: Number,
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  deletedBy: Number,
+  deletedAt: { type: Date, default: Date.now, index: true }
+});
+
+// A chat that wants to hear about new content: everything, or only the listed series.
+const subscriptionSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true, unique: true },
+  all: { type: Boolean, default: false },
+  seriesIds: [mongoose.Schema.Types.ObjectId],
+  blocked: { type: Boolean, default: false },
+  blockedAt: Date,
+  subscribedBy: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const notificationDeliverySchema = new mongoose.Schema({
+  chatId: { type: String, required: true },
+  kind: { type: String, enum: ['subscriber', 'channel'], required: true },
+  message: { text: String, photo: String, link: String },
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed', 'blocked'], default: 'pending', index: true },
+  attempts: { type: Number, default: 0 },
+  error: String,
+  nextAttemptAt: { type: Date, default: Date.now },
+  // When a worker set the status to 'sending' (see processDeliveryQueue).
+  claimedAt: Date,
+  sentAt: Date,
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+// Playback position per viewer and movie/episode (seasonNumber/episodeNumber are null for movies).
+const watchProgressSchema = new mongoose.Schema({
+  viewerId: { type: String, required: true },
+  targetType: { type: String, enum: ['movie', 'series'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  seasonNumber: Number,
+  episodeNumber: Number,
+  position: { type: Number, required: true },
+  duration: Number,
+  completed: { type: Boolean, default: false },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+watchProgressSchema.index(
+  { viewerId: 1, targetType: 1, targetId: 1, seasonNumber: 1, episodeNumber: 1 },
+  { unique: true }
+);
+watchProgressSchema.index({ viewerId: 1, updatedAt: -1 });
+
+// Single document ('library') holding the library version used for HTTP caching.
+const libraryStateSchema = new mongoose.Schema({
+  _id: String,
+  version: { type: Number, default: 0 }
+});
+
+// Token bucket shared between instances when RATE_LIMIT_STORE is 'mongo'.
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  tokens: { type: Number, required: true },
+  updatedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const subtitleSchema = new mongoose.Schema({
+  // WebVTT; SRT uploads are converted before they are stored.
+  content: { type: String, required: true },
+  fileName: String,
+  uploadedBy: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore'], required: true },
+  targetType: { type: String, enum: ['movie', 'series'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  targetName: String,
+  // Season/episode the change was made through, e.g. "Season 2" or "S1E3".
+  scope: String,
+  // Bulk operation the change was part of: import, restore or trash.
+  context: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  actor: {
+    source: { type: String, enum: ['bot', 'api'], required: true },
+    userId: Number,
+    apiKey: String
+  },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  createdBy: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  revokedAt: { type: Date, default: null }
+});
+
 const Movie = mongoose.model('Movie', movieSchema);
 const Series = mongoose.model('Series', seriesSchema);
+const BotUser = mongoose.model('BotUser', botUserSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+const BotSession = mongoose.model('BotSession', botSessionSchema);
+const TrashItem = mongoose.model('TrashItem', trashItemSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Subtitle = mongoose.model('Subtitle', subtitleSchema);
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+const WatchProgress = mongoose.model('WatchProgress', watchProgressSchema);
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+const LibraryState = mongoose.model('LibraryState', libraryStateSchema);
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
 
 // ================================================================
-// EXPRESS APP & MIDDLEWARE
+// VALIDATION
 // ================================================================
 
-const app = express();
+// Shared by the bot conversation flows and the write API so both enforce the same rules.
+// Whole numbers only: "3abc" or "1.5" are rejected rather than read as 3 or 1.
+const parsePositiveInteger = (value) => {
+  if (typeof value === 'number') return Number.isSafeInteger(value) && value > 0 ? value : null;
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? parsePositiveInteger(Number(text)) : null;
+};
 
-// FIX: Update CORS to explicitly allow the GitHub Pages frontend URL.
-// The wildcard '*' can sometimes be problematic with credentials,
-// so it's best to be explicit about the origins.
-const allowedOrigins = [
-  'http://localhost:3000',
-  'http://127.0.0.1:3000',
-  'http://localhost:3001',
-  'http://127.0.0.1:3001',
-  'http://localhost:8080',
-  'http://127.0.0.1:8080',
-  KOYEB_URL, // Add the Koyeb frontend URL
-  'https://seeubot.github.io' // ✨ UPDATED: Added your GitHub Pages URL ✨
-];
+const findDuplicateNumber = (items, key) => {
+  const seen = new Set();
+  for (const item of items) {
+    if (seen.has(item[key])) return item[key];
+    seen.add(item[key]);
+  }
+  return null;
+};
 
-app.use(cors({
-  origin: (origin, callback) => {
-    if (!origin) return callback(null, true);
-    if (allowedOrigins.indexOf(origin) === -1) {
-      const msg = `The CORS policy for this site does not allow access from the specified Origin.`;
-      return callback(new Error(msg), false);
+const pickStrings = (body, fields, { partial = false, optional = [] } = {}) => {
+  const value = {};
+  for (const field of fields) {
+    const raw = body[field];
+    if (raw === undefined || raw === null) {
+      if (!partial && !optional.includes(field)) return { error: `${field} is required` };
+      continue;
     }
-    return callback(null, true);
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
+    if (typeof raw !== 'string' || (!raw.trim() && !optional.includes(field))) {
+      return { error: `${field} must be a non-empty string` };
+    }
+    value[field] = raw.trim();
+  }
+  return { value };
+};
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+const isPlainObject = (body) => Boolean(body) && typeof body === 'object' && !Array.isArray(body);
 
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Lists accept an array or a comma-separated string. Runtime is in minutes (per episode for series).
+const METADATA_FIELDS = {
+  description: { type: 'text', label: 'Description', icon: '📝', prompt: 'Enter the description:' },
+  year: { type: 'year', label: 'Release Year', icon: '📅', prompt: 'Enter the release year (e.g. 2021):' },
+  genres: { type: 'list', label: 'Genres', icon: '🎭', prompt: 'Enter the genres, separated by commas (e.g. Drama, Thriller):' },
+  cast: { type: 'list', label: 'Cast', icon: '👥', prompt: 'Enter the main cast, separated by commas:' },
+  language: { type: 'text', label: 'Language', icon: '🗣️', prompt: 'Enter the language (e.g. English):' },
+  runtime: { type: 'minutes', label: 'Runtime', icon: '⏱️', prompt: 'Enter the runtime in minutes:' },
+  contentRating: { type: 'text', label: 'Content Rating', icon: '🔞', prompt: 'Enter the content rating (e.g. PG-13, TV-MA):' },
+  backdrop: { type: 'text', label: 'Backdrop URL', icon: '🖼️', prompt: 'Enter the backdrop image URL:' }
+};
 
-if (USE_WEBHOOK) {
-  app.post(WEBHOOK_PATH, (req, res) => {
-    bot.processUpdate(req.body);
-    res.sendStatus(200);
-  });
-}
+const METADATA_MIN_YEAR = 1870;
 
-app.use(express.static(path.join(__dirname, 'public')));
+// Empty values return { value: undefined }, which clears the field.
+const parseMetadataValue = (field, raw) => {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && !raw.trim())) return { value: undefined };
+  const { type } = METADATA_FIELDS[field];
+  if (type === 'list') {
+    const items = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+      return { error: `${field} must be a list of strings` };
+    }
+    return { value: [...new Set(items.map(item => item.trim()).filter(Boolean))] };
+  }
+  if (type === 'year') {
+    const year = parsePositiveInteger(raw);
+    const maxYear = new Date().getFullYear() + 5;
+    if (!year || year < METADATA_MIN_YEAR || year > maxYear) {
+      return { error: `${field} must be a year between ${METADATA_MIN_YEAR} and ${maxYear}` };
+    }
+    return { value: year };
+  }
+  if (type === 'minutes') {
+    const minutes = parsePositiveInteger(raw);
+    return minutes ? { value: minutes } : { error: `${field} must be a positive number of minutes` };
+  }
+  if (typeof raw !== 'string') return { error: `${field} must be a string` };
+  return { value: raw.trim() };
+};
 
-// ================================================================
-// BOT STATE MANAGEMENT & CONVERSATION FLOWS
-// ================================================================
+const pickMetadata = (body) => {
+  const value = {};
+  for (const field of Object.keys(METADATA_FIELDS)) {
+    if (!Object.prototype.hasOwnProperty.call(body, field)) continue;
+    const result = parseMetadataValue(field, body[field]);
+    if (result.error) return result;
+    value[field] = result.value;
+  }
+  return { value };
+};
 
-const userStates = new Map();
-const tempData = new Map();
+const withMetadata = (result, body) => {
+  if (result.error) return result;
+  const metadata = pickMetadata(body);
+  if (metadata.error) return metadata;
+  return { value: { ...result.value, ...metadata.value } };
+};
 
-// Simplified error handling to avoid restart loops
-bot.on('polling_error', (error) => {
-  console.error('❌ Telegram polling error:', error.code, error.message);
-});
+const SOURCE_QUALITY_PATTERN = /^(\d{3,4}p|[248]k)$/i;
 
-bot.on('webhook_error', (error) => {
-  console.error('❌ Telegram webhook error:', error);
-});
+const inferSourceFormat = (url) => {
+  const pathname = url.split(/[?#]/)[0].toLowerCase();
+  if (pathname.endsWith('.m3u8')) return 'm3u8';
+  if (pathname.endsWith('.mpd')) return 'dash';
+  if (pathname.endsWith('.webm')) return 'webm';
+  if (pathname.endsWith('.mp4')) return 'mp4';
+  return undefined;
+};
 
-const getMainMenuKeyboard = () => ({
-  reply_markup: {
-    keyboard: [
-      ['🎬 Add Movie', '📺 Add Series'],
-      ['✍️ Edit/Delete Movies', '🗑️ Edit/Delete Series'],
-      ['🌐 Frontend URL', '📊 Library Stats']
-    ],
-    resize_keyboard: true,
-    one_time_keyboard: false
+// Priority defaults to the position in the list; the format is guessed from the URL when omitted.
+// Errors are prefixed with sources[index] unless index is null.
+const validateSourceInput = (source, index) => {
+  const prefix = index === null ? '' : `sources[${index}]: `;
+  if (!isPlainObject(source)) return { error: `${prefix}source must be an object` };
+  const optional = ['label', 'quality', 'format', 'language'];
+  const result = pickStrings(source, ['url', ...optional], { optional });
+  if (result.error) return { error: `${prefix}${result.error}` };
+  const value = result.value;
+  optional.filter(field => value[field] === '').forEach(field => delete value[field]);
+  if (value.quality) {
+    if (!SOURCE_QUALITY_PATTERN.test(value.quality)) {
+      return { error: `${prefix}quality must look like 480p, 720p, 1080p or 4k` };
+    }
+    value.quality = value.quality.toLowerCase();
   }
-});
+  value.format = value.format ? value.format.toLowerCase() : inferSourceFormat(value.url);
+  if (value.format === undefined) {
+    delete value.format;
+  } else if (!SOURCE_FORMATS.includes(value.format)) {
+    return { error: `${prefix}format must be one of ${SOURCE_FORMATS.join(', ')}` };
+  }
+  if (source.priority !== undefined && source.priority !== null) {
+    if (!Number.isInteger(source.priority)) return { error: `${prefix}priority must be an integer` };
+    value.priority = source.priority;
+  } else {
+    value.priority = index || 0;
+  }
+  return { value };
+};
 
-// Helper function to extract IDs safely
-const extractId = (data, prefix) => {
-  if (data.startsWith(prefix)) {
-    return data.substring(prefix.length);
+const pickSources = (body) => {
+  if (body.sources === undefined) return { value: undefined };
+  if (!Array.isArray(body.sources)) return { error: 'sources must be an array' };
+  const sources = [];
+  for (const [index, source] of body.sources.entries()) {
+    const result = validateSourceInput(source, index);
+    if (result.error) return result;
+    sources.push(result.value);
   }
-  return null;
+  return { value: sources.sort((a, b) => a.priority - b.priority) };
 };
 
-bot.on('message', async (msg) => {
-  const chatId = msg.chat.id;
-  const text = msg.text;
-  const userId = msg.from.id;
+// When sources are given, streamingUrl may be omitted and is set to the first source.
+const withSources = (body, validate) => {
+  const sources = pickSources(body);
+  if (sources.error) return sources;
+  const hasSources = Boolean(sources.value && sources.value.length > 0);
+  const result = validate(hasSources ? ['streamingUrl'] : []);
+  if (result.error || sources.value === undefined) return result;
+  const value = { ...result.value, sources: sources.value };
+  if (hasSources) value.streamingUrl = sources.value[0].url;
+  return { value };
+};
 
-  console.log(`📱 Message from ${userId}: ${text}`);
+const validateMovieInput = (body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) return { error: 'Request body must be a JSON object' };
+  return withSources(body, optional =>
+    withMetadata(pickStrings(body, ['name', 'thumbnail', 'streamingUrl'], { partial, optional }), body)
+  );
+};
 
-  try {
-    if (text === '/start') {
-      userStates.delete(chatId);
-      tempData.delete(chatId);
-      await bot.sendMessage(chatId,
-        '🎭 *Welcome to Media Manager Bot!*\n\n' +
-        '🎬 Add and manage your movies\n' +
-        '📺 Create and organize TV series\n' +
-        '🌐 Access your media library via web frontend\n\n' +
-        'Choose an option below:',
-        { ...getMainMenuKeyboard(), parse_mode: 'Markdown' }
-      );
-    } else if (text === '🎬 Add Movie') {
-      userStates.set(chatId, 'adding_movie_name');
-      tempData.set(chatId, { type: 'movie' });
-      await bot.sendMessage(chatId, '🎬 Enter the movie name:', { reply_markup: { remove_keyboard: true } });
-    } else if (text === '📺 Add Series') {
-      const seriesList = await Series.find({}, 'name').limit(20);
-      if (seriesList.length > 0) {
-        const seriesKeyboard = seriesList.map(s => [{ text: s.name, callback_data: `add_new_season_to_series_${s._id}` }]);
-        seriesKeyboard.push([{ text: '➕ Create New Series', callback_data: 'create_new_series' }]);
-        await bot.sendMessage(chatId, '📺 Choose a series to add seasons/episodes to, or create a new one:', {
-          reply_markup: { inline_keyboard: seriesKeyboard }
-        });
-      } else {
-        userStates.set(chatId, 'adding_series_name');
-        tempData.set(chatId, { type: 'series' });
-        await bot.sendMessage(chatId, '📺 Enter the series name:', { reply_markup: { remove_keyboard: true } });
-      }
-    } else if (text === '✍️ Edit/Delete Movies') {
-      const movies = await Movie.find().sort({ addedAt: -1 }).limit(10);
-      if (movies.length === 0) {
-        await bot.sendMessage(chatId, '📽️ No movies found! Add some first.', getMainMenuKeyboard());
-      } else {
-        const movieKeyboard = movies.map(movie => [
-          { text: `✍️ ${movie.name}`, callback_data: `edit_movie_${movie._id}` },
-          { text: `🗑️ ${movie.name}`, callback_data: `delete_movie_${movie._id}` }
-        ]);
-        await bot.sendMessage(chatId, '🎬 *Select a movie to edit or delete:*', {
-          parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: movieKeyboard }
-        });
-      }
-    } else if (text === '🗑️ Edit/Delete Series') {
-      const seriesList = await Series.find().sort({ addedAt: -1 }).limit(10);
-      if (seriesList.length === 0) {
-        await bot.sendMessage(chatId, '📺 No series found! Add some first.', getMainMenuKeyboard());
-      } else {
-        const seriesKeyboard = seriesList.map(series => [
-          { text: `✍️ ${series.name}`, callback_data: `edit_series_${series._id}` },
-          { text: `🗑️ ${series.name}`, callback_data: `delete_series_${series._id}` }
-        ]);
-        await bot.sendMessage(chatId, '📺 *Select a series to edit or delete:*', {
-          parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: seriesKeyboard }
-        });
-      }
-    } else if (text === '🌐 Frontend URL') {
-      const frontendUrl = 'https://seeubot.github.io/NS';
-      await bot.sendMessage(chatId,
-        `🌐 *Web Frontend:*\n${frontendUrl}\n\n` +
-        `📱 *API Server:* ${KOYEB_URL}/api\n\n` +
-        '🎬 Open the frontend URL to watch your movies and series!\n\n' +
-        '✨ Your media library awaits!',
-        { parse_mode: 'Markdown', ...getMainMenuKeyboard() }
-      );
-    } else if (text === '📊 Library Stats') {
-      const movieCount = await Movie.countDocuments();
-      const seriesCount = await Series.countDocuments();
-      const totalEpisodes = await Series.aggregate([
-        { $unwind: '$seasons' },
-        { $unwind: '$seasons.episodes' },
-        { $count: 'totalEpisodes' }
-      ]);
-      const episodeCount = totalEpisodes[0]?.totalEpisodes || 0;
+// Episode markers are stored in seconds. The API accepts seconds or "m:ss"/"h:mm:ss" strings; the bot uses the strings.
+const EPISODE_MARKER_FIELDS = ['introStart', 'introEnd', 'creditsStart'];
 
-      await bot.sendMessage(chatId,
-        `📊 *Library Statistics:*\n\n` +
-        `🎬 Movies: ${movieCount}\n` +
-        `📺 TV Series: ${seriesCount}\n` +
-        `📹 Total Episodes: ${episodeCount}\n` +
-        `🎭 Total Items: ${movieCount + seriesCount}`,
-        { parse_mode: 'Markdown', ...getMainMenuKeyboard() }
-      );
-    } else {
-      await handleConversationFlow(chatId, text, userId);
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const match = /^(?:(\d+):)?(\d+)(?::(\d{1,2}))?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [hours, minutes, seconds] = match[3] === undefined
+    ? [0, match[1] === undefined ? 0 : Number(match[1]), Number(match[2])]
+    : [Number(match[1] || 0), Number(match[2]), Number(match[3])];
+  if (seconds > 59 || (match[3] !== undefined && match[1] !== undefined && minutes > 59)) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const formatTimestamp = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+const checkEpisodeMarkers = ({ introStart, introEnd }) => {
+  if ((introStart === undefined) !== (introEnd === undefined)) {
+    return 'introStart and introEnd must be set together';
+  }
+  if (introStart !== undefined && introEnd <= introStart) return 'introEnd must be after introStart';
+  return null;
+};
+
+// null clears a marker (written as undefined so mongoose unsets it).
+const pickEpisodeMarkers = (body) => {
+  const value = {};
+  for (const field of EPISODE_MARKER_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      value[field] = undefined;
+      continue;
     }
-  } catch (error) {
-    console.error('❌ Error handling message:', error);
-    await bot.sendMessage(chatId, '❌ An error occurred. Please try again or use /start to restart.', getMainMenuKeyboard());
-    userStates.delete(chatId);
-    tempData.delete(chatId);
+    const seconds = parseTimestamp(body[field]);
+    if (seconds === null) return { error: `${field} must be a number of seconds or a m:ss timestamp` };
+    value[field] = seconds;
   }
-});
+  return { value };
+};
 
-bot.on('callback_query', async (callbackQuery) => {
-  const msg = callbackQuery.message;
-  const chatId = msg.chat.id;
-  const data = callbackQuery.data;
+// Bot input: "<intro start>-<intro end> [credits start]", with "-" in place of a part that isn't set,
+// e.g. "0:45-1:30 41:10", "0:45-1:30" or "- 41:10". A lone "-" clears all markers.
+const parseEpisodeMarkersInput = (text) => {
+  const [intro, credits, ...rest] = text.trim().split(/\s+/);
+  if (rest.length > 0) return { error: 'Send at most an intro range and a credits time' };
+  const value = { introStart: undefined, introEnd: undefined, creditsStart: undefined };
+  if (intro !== '-') {
+    const [start, end, ...extra] = intro.split('-');
+    value.introStart = parseTimestamp(start);
+    value.introEnd = end === undefined ? null : parseTimestamp(end);
+    if (extra.length > 0 || value.introStart === null || value.introEnd === null) {
+      return { error: 'The intro must look like 0:45-1:30' };
+    }
+  }
+  if (credits !== undefined && credits !== '-') {
+    value.creditsStart = parseTimestamp(credits);
+    if (value.creditsStart === null) return { error: 'The credits time must look like 41:10' };
+  }
+  const error = checkEpisodeMarkers(value);
+  return error ? { error } : { value };
+};
 
-  console.log(`🔘 Callback query: ${data}`);
+const validateEpisodeInput = (body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) return { error: 'Episode must be a JSON object' };
+  const result = withSources(body, optional =>
+    pickStrings(body, ['title', 'streamingUrl', 'thumbnail'], { partial, optional: ['thumbnail', ...optional] })
+  );
+  if (result.error) return result;
+  if (!partial || body.episodeNumber !== undefined) {
+    const episodeNumber = parsePositiveInteger(body.episodeNumber);
+    if (!episodeNumber) return { error: 'episodeNumber must be a positive integer' };
+    result.value.episodeNumber = episodeNumber;
+  }
+  const markers = pickEpisodeMarkers(body);
+  if (markers.error) return markers;
+  // A partial update may move only one end of the intro; the stored end is checked when it is applied.
+  const markerError = !partial && checkEpisodeMarkers(markers.value);
+  if (markerError) return { error: markerError };
+  Object.assign(result.value, markers.value);
+  return result;
+};
 
-  try {
-    // FIX: Reordered the if/else if checks to handle more specific cases first.
-    if (data.startsWith('add_new_season_to_series_')) {
-      const seriesId = extractId(data, 'add_new_season_to_series_');
-      const series = await Series.findById(seriesId);
-      if (series) {
-        tempData.set(chatId, {
-          type: 'series',
-          seriesId: seriesId,
-          name: series.name,
-          thumbnail: series.thumbnail,
-          seasons: [...series.seasons]
-        });
-        userStates.set(chatId, 'adding_season_number_for_existing_series');
-        await bot.sendMessage(chatId, `📺 Adding to "${series.name}"\n\n🔢 Enter the new season number:`, { reply_markup: { remove_keyboard: true } });
-      }
-    } else if (data.startsWith('edit_series_episodes_')) {
-      const seriesId = data.split('_').pop();
-      const series = await Series.findById(seriesId);
-      if (!series) {
-        await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard());
-        return;
-      }
-      tempData.set(chatId, {
-        type: 'series',
-        seriesId: seriesId,
-        name: series.name,
-        thumbnail: series.thumbnail,
-        seasons: series.seasons,
-      });
+const validateSeasonInput = (body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) return { error: 'Season must be a JSON object' };
+  const value = {};
+  if (!partial || body.seasonNumber !== undefined) {
+    value.seasonNumber = parsePositiveInteger(body.seasonNumber);
+    if (!value.seasonNumber) return { error: 'seasonNumber must be a positive integer' };
+  }
+  if (!partial || body.episodes !== undefined) {
+    const episodes = body.episodes === undefined ? [] : body.episodes;
+    if (!Array.isArray(episodes)) return { error: 'episodes must be an array' };
+    value.episodes = [];
+    for (const episode of episodes) {
+      const result = validateEpisodeInput(episode);
+      if (result.error) return result;
+      value.episodes.push(result.value);
+    }
+    const duplicate = findDuplicateNumber(value.episodes, 'episodeNumber');
+    if (duplicate !== null) {
+      return { error: `Episode ${duplicate} appears more than once${value.seasonNumber ? ` in Season ${value.seasonNumber}` : ''}` };
+    }
+  }
+  return { value };
+};
 
-      let keyboard = [];
-      if (series.seasons && series.seasons.length > 0) {
-        keyboard = series.seasons.map(s => [
-          { text: `Season ${s.seasonNumber}`, callback_data: `select_season_${seriesId}_${s.seasonNumber}` }
-        ]);
-      }
-      keyboard.push([{ text: '➕ Add New Season', callback_data: `add_new_season_to_series_${seriesId}` }]);
+const validateSeriesInput = (body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) return { error: 'Request body must be a JSON object' };
+  const result = withMetadata(pickStrings(body, ['name', 'thumbnail'], { partial }), body);
+  if (result.error) return result;
+  if (!partial || body.seasons !== undefined) {
+    const seasons = body.seasons === undefined ? [] : body.seasons;
+    if (!Array.isArray(seasons)) return { error: 'seasons must be an array' };
+    result.value.seasons = [];
+    for (const season of seasons) {
+      const seasonResult = validateSeasonInput(season);
+      if (seasonResult.error) return seasonResult;
+      result.value.seasons.push(seasonResult.value);
+    }
+    const duplicate = findDuplicateNumber(result.value.seasons, 'seasonNumber');
+    if (duplicate !== null) return { error: `Season ${duplicate} appears more than once` };
+  }
+  return result;
+};
 
-      await bot.sendMessage(chatId, '📺 *Select a season to add episodes to, or add a new season:*', {
-        parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: keyboard }
-      });
-    } else if (data === 'create_new_series') {
-      userStates.set(chatId, 'adding_series_name');
-      tempData.set(chatId, { type: 'series' });
-      await bot.sendMessage(chatId, '📺 Enter the new series name:', { reply_markup: { remove_keyboard: true } });
-    } else if (data.startsWith('delete_movie_')) {
-      const movieId = extractId(data, 'delete_movie_');
-      const deletedMovie = await Movie.findByIdAndDelete(movieId);
-      if (deletedMovie) {
-        await bot.sendMessage(chatId, `✅ Movie "${deletedMovie.name}" deleted successfully!`, getMainMenuKeyboard());
-      } else {
-        await bot.sendMessage(chatId, '❌ Movie not found.', getMainMenuKeyboard());
+// Anonymous viewer IDs are generated by the frontend (one per browser, shareable to sync devices).
+const VIEWER_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const PROGRESS_COMPLETE_RATIO = 0.95;
+
+// Identifies a movie, or a series episode, for watch progress. Used for POST bodies and GET queries;
+// lookups may leave out the episode to get every saved episode of a series.
+const validateProgressTarget = (body, { requireEpisode = true } = {}) => {
+  if (!VIEWER_ID_PATTERN.test(String(body.viewerId || ''))) {
+    return { error: 'viewerId must be 8-64 letters, digits, dashes or underscores' };
+  }
+  if (!['movie', 'series'].includes(body.targetType)) return { error: 'targetType must be movie or series' };
+  if (!mongoose.isValidObjectId(body.targetId)) return { error: 'targetId must be a valid ID' };
+  const value = { viewerId: body.viewerId, targetType: body.targetType, targetId: body.targetId };
+  const hasEpisode = body.seasonNumber !== undefined || body.episodeNumber !== undefined;
+  if (body.targetType === 'series' && (requireEpisode || hasEpisode)) {
+    value.seasonNumber = parsePositiveInteger(body.seasonNumber);
+    value.episodeNumber = parsePositiveInteger(body.episodeNumber);
+    if (!value.seasonNumber || !value.episodeNumber) {
+      return { error: 'seasonNumber and episodeNumber must be positive integers for series' };
+    }
+  }
+  return { value };
+};
+
+const validateProgressInput = (body) => {
+  if (!isPlainObject(body)) return { error: 'Request body must be a JSON object' };
+  const result = validateProgressTarget(body);
+  if (result.error) return result;
+  const position = Number(body.position);
+  const duration = body.duration === undefined || body.duration === null ? undefined : Number(body.duration);
+  if (!Number.isFinite(position) || position < 0) return { error: 'position must be a number of seconds' };
+  if (duration !== undefined && (!Number.isFinite(duration) || duration <= 0)) {
+    return { error: 'duration must be a positive number of seconds' };
+  }
+  result.value.position = position;
+  result.value.duration = duration;
+  result.value.completed = Boolean(duration && position >= duration * PROGRESS_COMPLETE_RATIO);
+  return result;
+};
+
+// Items without sources play their streamingUrl; the first edit turns it into source #1.
+const ensureSources = (item) => {
+  if (item.sources.length === 0) {
+    item.sources.push({ url: item.streamingUrl, format: inferSourceFormat(item.streamingUrl), priority: 0 });
+  }
+};
+
+// Renumbers priorities after a reorder and points streamingUrl at the first source.
+const normalizeSources = (item) => {
+  item.sources.sort((a, b) => a.priority - b.priority);
+  item.sources.forEach((source, index) => {
+    source.priority = index;
+  });
+  if (item.sources.length > 0) item.streamingUrl = item.sources[0].url;
+};
+
+const setPrimaryStreamingUrl = (item, url) => {
+  item.streamingUrl = url;
+  if (item.sources && item.sources.length > 0) {
+    item.sources[0].url = url;
+    item.sources[0].format = inferSourceFormat(url);
+  }
+};
+
+// ================================================================
+// API KEYS
+// ================================================================
+
+const API_KEY_PREFIX = 'mm_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+const getApiKeyFromRequest = (req) => {
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+};
+
+// Hashes of keys that have passed requireApiKey, so the rate limiter can give them their own
+// bucket. A key it hasn't seen yet is limited by IP, which keeps made-up keys from dodging limits.
+const API_KEY_CACHE_SIZE = 1000;
+const verifiedApiKeyHashes = createLruCache(API_KEY_CACHE_SIZE);
+
+const requireApiKey = async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  if (!key) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  try {
+    const keyHash = hashApiKey(key);
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyHash, revokedAt: null },
+      { lastUsedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) {
+      // Covers keys revoked through another instance, whose cache the revoke didn't reach.
+      verifiedApiKeyHashes.delete(keyHash);
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    verifiedApiKeyHashes.set(keyHash, true);
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ================================================================
+// RATE LIMITING
+// ================================================================
+
+// Token buckets: each key holds up to `burst` tokens, refilled at `perMinute`, and every request
+// takes one. take() resolves to { allowed, remaining, retryAfter } with retryAfter in seconds.
+const refillBucket = (bucket, { perMinute, burst }, now) => {
+  if (!bucket) return burst;
+  return Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+};
+
+const toRateLimitResult = (tokens, allowed, { perMinute }) => ({
+  allowed,
+  remaining: Math.floor(tokens),
+  retryAfter: allowed ? 0 : Math.ceil(((1 - tokens) * 60) / perMinute)
+});
+
+const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+  // A bucket that has been idle long enough to refill completely is the same as no bucket.
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    async take(key, limit) {
+      const now = Date.now();
+      let tokens = refillBucket(buckets.get(key), limit, now);
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+      buckets.set(key, { tokens, updatedAt: now, fullAt: now + ((limit.burst - tokens) * 60000) / limit.perMinute });
+      return toRateLimitResult(tokens, allowed, limit);
+    }
+  };
+};
+
+// Refill and take happen in one pipeline update, so concurrent requests on different instances
+// can't both spend the last token.
+const createMongoRateLimitStore = () => {
+  const take = async (key, { perMinute, burst }) => {
+    const now = new Date();
+    const elapsedMinutes = { $divide: [{ $subtract: [now, { $ifNull: ['$updatedAt', now] }] }, 60000] };
+    const bucket = await RateLimitBucket.findOneAndUpdate({ key }, [
+      {
+        $set: {
+          tokens: { $min: [burst, { $add: [{ $ifNull: ['$tokens', burst] }, { $multiply: [elapsedMinutes, perMinute] }] }] }
+        }
+      },
+      {
+        $set: {
+          allowed: { $gte: ['$tokens', 1] },
+          tokens: { $cond: [{ $gte: ['$tokens', 1] }, { $subtract: ['$tokens', 1] }, '$tokens'] },
+          updatedAt: now,
+          expiresAt: new Date(now.getTime() + (burst * 60000) / perMinute)
+        }
       }
-    } else if (data.startsWith('delete_series_')) {
-      const seriesId = extractId(data, 'delete_series_');
-      const deletedSeries = await Series.findByIdAndDelete(seriesId);
-      if (deletedSeries) {
-        await bot.sendMessage(chatId, `✅ Series "${deletedSeries.name}" deleted successfully!`, getMainMenuKeyboard());
-      } else {
-        await bot.sendMessage(chatId, '❌ Series not found.', getMainMenuKeyboard());
+    ], { upsert: true, new: true, lean: true, setDefaultsOnInsert: false });
+    return toRateLimitResult(bucket.tokens, bucket.allowed, { perMinute });
+  };
+
+  return {
+    async take(key, limit) {
+      try {
+        return await take(key, limit);
+      } catch (error) {
+        // Two instances creating the same bucket at once: the loser retries against the winner's.
+        if (error.code === 11000) return take(key, limit);
+        throw error;
       }
-    } else if (data.startsWith('edit_movie_')) {
-      const movieId = extractId(data, 'edit_movie_');
-      const movie = await Movie.findById(movieId);
-      if (movie) {
-        tempData.set(chatId, { type: 'movie', movieId, ...movie._doc });
-        userStates.set(chatId, 'editing_movie');
-        await bot.sendMessage(chatId,
-          `🎬 *Editing Movie: ${movie.name}*\n\n` +
-          `What would you like to edit?`,
-          {
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '✍️ Edit Name', callback_data: `edit_field_movie_name` }],
-                [{ text: '📸 Edit Thumbnail URL', callback_data: `edit_field_movie_thumbnail` }],
-                [{ text: '🔗 Edit Streaming URL', callback_data: `edit_field_movie_streaming_url` }],
-                [{ text: '❌ Cancel', callback_data: 'cancel' }]
-              ]
-            }
-          }
-        );
+    }
+  };
+};
+
+const rateLimitStore = RATE_LIMIT_STORE === 'mongo' ? createMongoRateLimitStore() : createMemoryRateLimitStore();
+
+const API_RATE_LIMIT = { perMinute: API_RATE_LIMIT_PER_MINUTE, burst: API_RATE_LIMIT_BURST };
+const API_KEY_RATE_LIMIT = { perMinute: API_KEY_RATE_LIMIT_PER_MINUTE, burst: API_KEY_RATE_LIMIT_BURST };
+const BOT_RATE_LIMIT = { perMinute: BOT_RATE_LIMIT_PER_MINUTE, burst: BOT_RATE_LIMIT_BURST };
+
+// Never throws: if the store is unreachable the request is let through rather than failed.
+const takeRateLimitToken = async (key, limit) => {
+  if (!(limit.perMinute > 0)) return null;
+  try {
+    return await rateLimitStore.take(key, limit);
+  } catch (error) {
+    console.error('❌ Error checking rate limit:', error);
+    return null;
+  }
+};
+
+// Requests with a known API key share that key's bucket wherever they come from; everything
+// else is limited per client IP.
+const limitApiRequests = async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  const keyHash = key ? hashApiKey(key) : null;
+  const [bucketKey, limit] = keyHash && verifiedApiKeyHashes.get(keyHash)
+    ? [`key:${keyHash}`, API_KEY_RATE_LIMIT]
+    : [`ip:${req.ip}`, API_RATE_LIMIT];
+
+  const result = await takeRateLimitToken(bucketKey, limit);
+  if (!result) return next();
+
+  res.set('RateLimit-Limit', String(limit.burst));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfter: result.retryAfter });
+  }
+  next();
+};
+
+// Users who are over their limit get one "slow down" reply, then their updates are dropped
+// silently until the bucket has a token again.
+const BOT_SLOW_DOWN_CACHE_SIZE = 1000;
+const botSlowDownUntil = createLruCache(BOT_SLOW_DOWN_CACHE_SIZE);
+
+const isBotUserThrottled = async (userId) => {
+  const result = await takeRateLimitToken(`bot:${userId}`, BOT_RATE_LIMIT);
+  if (!result || result.allowed) return { throttled: false };
+  const warned = (botSlowDownUntil.get(userId) || 0) > Date.now();
+  if (!warned) botSlowDownUntil.set(userId, Date.now() + result.retryAfter * 1000);
+  return { throttled: true, notify: !warned, retryAfter: result.retryAfter };
+};
+
+const getSlowDownText = (retryAfter) =>
+  `🐢 Slow down a little! Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`;
+
+// ================================================================
+// AUDIT LOG
+// ================================================================
+
+// Every create/update/delete of a movie or series goes through saveLibraryDocument() or
+// recordAudit(), which store a field-level diff. Seasons and episodes are logged as changes to
+// their series, with paths like "S1E2.title".
+const AUDIT_IGNORED_FIELDS = new Set(['_id', '__v', 'updatedAt', 'updatedBy', 'linkHealth']);
+const AUDIT_HISTORY_LIMIT = 10;
+const AUDIT_API_MAX_LIMIT = 200;
+
+const botActor = (userId) => ({ source: 'bot', userId });
+
+const apiActor = (req) => ({ source: 'api', userId: req.apiKey.createdBy, apiKey: req.apiKey.prefix });
+
+// JSON round-trip turns ObjectIds and Dates into strings so snapshots compare by value.
+const snapshotForAudit = (doc) => (doc ? JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc)) : null);
+
+const getAuditPath = (path, item, index) => {
+  if (item && item.episodeNumber !== undefined) return `${path.replace(/\.episodes$/, '')}E${item.episodeNumber}`;
+  if (item && item.seasonNumber !== undefined) return `S${item.seasonNumber}`;
+  return `${path}.${index}`;
+};
+
+const flattenForAudit = (value, path = '', out = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenForAudit(item, getAuditPath(path, item, index), out));
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!AUDIT_IGNORED_FIELDS.has(key)) flattenForAudit(child, path ? `${path}.${key}` : key, out);
+    }
+  } else if (value !== undefined && value !== null) {
+    out[path] = value;
+  }
+  return out;
+};
+
+const diffForAudit = (before, after) => {
+  const previous = flattenForAudit(before);
+  const next = flattenForAudit(after);
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(field => previous[field] !== next[field])
+    .map(field => ({ field, before: previous[field], after: next[field] }));
+};
+
+// Never throws: a failed audit write is logged but must not undo the change it describes.
+const recordAudit = async (actor, action, targetType, before, after, { scope, context } = {}) => {
+  try {
+    const changes = diffForAudit(before, after);
+    if (action === 'update' && changes.length === 0) return;
+    const target = after || before;
+    await AuditLog.create({
+      action,
+      targetType,
+      targetId: target._id,
+      targetName: target.name,
+      scope,
+      context,
+      changes,
+      actor
+    });
+  } catch (error) {
+    console.error('❌ Error writing audit log:', error);
+  }
+};
+
+// Stamps updatedAt/updatedBy, saves and logs the change. Pass the snapshot taken before the
+// change as `before`; without one the save is logged as a create.
+const saveLibraryDocument = async (doc, actor, { action, before = null, scope, context } = {}) => {
+  doc.updatedAt = new Date();
+  doc.updatedBy = actor.userId;
+  await doc.save();
+  const targetType = doc.constructor.modelName.toLowerCase();
+  await recordAudit(actor, action || (before ? 'update' : 'create'), targetType, before, snapshotForAudit(doc), { scope, context });
+  return doc;
+};
+
+const updateLibraryDocument = async (Model, id, actor, applyChange, options = {}) => {
+  const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!doc) return null;
+  const before = snapshotForAudit(doc);
+  applyChange(doc);
+  return saveLibraryDocument(doc, actor, { ...options, before });
+};
+
+// Matches entries for any movie/series currently called `title`, plus entries recorded under
+// that name (so renamed and deleted titles can still be found).
+const buildAuditTitleFilter = async (title) => {
+  const nameFilter = { name: new RegExp(escapeRegex(title), 'i') };
+  const [movies, series] = await Promise.all([
+    Movie.find(nameFilter).select('_id'),
+    Series.find(nameFilter).select('_id')
+  ]);
+  return {
+    $or: [
+      { targetId: { $in: [...movies, ...series].map(doc => doc._id) } },
+      { targetName: nameFilter.name }
+    ]
+  };
+};
+
+const formatAuditValue = (value) => {
+  if (value === undefined) return '∅';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const formatAuditEntry = (entry) => {
+  const icon = { create: '➕', update: '✏️', delete: '🗑️', restore: '↩️' }[entry.action];
+  const actor = entry.actor.source === 'api'
+    ? `API key ${entry.actor.apiKey}… (${entry.actor.userId})`
+    : `${entry.actor.userId}`;
+  const lines = [
+    `${icon} ${entry.createdAt.toISOString().replace('T', ' ').slice(0, 16)} ` +
+    `${entry.action} ${entry.targetType} "${entry.targetName}"` +
+    (entry.scope ? ` ${entry.scope}` : '') +
+    (entry.context ? ` via ${entry.context}` : '') +
+    ` by ${actor}`
+  ];
+  entry.changes.slice(0, 5).forEach(change => {
+    lines.push(`   • ${change.field}: ${formatAuditValue(change.before)} → ${formatAuditValue(change.after)}`);
+  });
+  if (entry.changes.length > 5) {
+    lines.push(`   • …and ${entry.changes.length - 5} more change(s)`);
+  }
+  return lines.join('\n');
+};
+
+// ================================================================
+// BULK IMPORT
+// ================================================================
+
+const IMPORT_MAX_FILE_BYTES = 1024 * 1024;
+
+// Column/property names accepted in import files, keyed by their lowercased alphanumeric form.
+const IMPORT_FIELD_ALIASES = {
+  season: 'seasonNumber',
+  seasonnumber: 'seasonNumber',
+  episode: 'episodeNumber',
+  episodenumber: 'episodeNumber',
+  title: 'title',
+  name: 'name',
+  url: 'streamingUrl',
+  streamingurl: 'streamingUrl',
+  thumbnail: 'thumbnail',
+  poster: 'thumbnail',
+  description: 'description',
+  year: 'year',
+  releaseyear: 'year',
+  genre: 'genres',
+  genres: 'genres',
+  cast: 'cast',
+  language: 'language',
+  runtime: 'runtime',
+  contentrating: 'contentRating',
+  rating: 'contentRating',
+  backdrop: 'backdrop'
+};
+
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
       } else {
-        await bot.sendMessage(chatId, '❌ Movie not found.', getMainMenuKeyboard());
+        field += char;
       }
-    // FIX: Moved this check to come after the more specific 'edit_series_episodes_' check.
-    } else if (data.startsWith('edit_series_')) {
-      const seriesId = extractId(data, 'edit_series_');
-      const series = await Series.findById(seriesId);
-      if (series) {
-        tempData.set(chatId, { type: 'series', seriesId, ...series._doc });
-        userStates.set(chatId, 'editing_series');
-        await bot.sendMessage(chatId,
-          `📺 *Editing Series: ${series.name}*\n\n` +
-          `What would you like to edit?`,
-          {
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '✍️ Edit Name', callback_data: `edit_field_series_name` }],
-                [{ text: '📸 Edit Thumbnail URL', callback_data: `edit_field_series_thumbnail` }],
-                [{ text: '➕ Add/Edit Episodes', callback_data: `edit_series_episodes_${series._id}` }],
-                [{ text: '❌ Cancel', callback_data: 'cancel' }]
-              ]
-            }
-          }
-        );
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(cell => cell.trim()));
+  if (!header) return [];
+  const keys = header.map(cell => cell.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, record[i]])));
+};
+
+const normalizeImportRow = (row) => {
+  const normalized = {};
+  if (!isPlainObject(row)) return normalized;
+  for (const [key, value] of Object.entries(row)) {
+    const field = IMPORT_FIELD_ALIASES[key.toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (!field || value === undefined || value === null) continue;
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (trimmed !== '') normalized[field] = trimmed;
+  }
+  return normalized;
+};
+
+// Validates raw rows with the same rules as the write API. Returns the detected kind
+// ('movies' or 'episodes'), the valid items and a list of { row, error } for the rest.
+const validateImportRows = (rows) => {
+  const normalizedRows = rows.map(normalizeImportRow);
+  const kind = normalizedRows.some(r => r.seasonNumber !== undefined || r.episodeNumber !== undefined)
+    ? 'episodes'
+    : 'movies';
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+
+  normalizedRows.forEach((row, index) => {
+    let result;
+    let key;
+    if (kind === 'episodes') {
+      const seasonNumber = parsePositiveInteger(row.seasonNumber);
+      if (!seasonNumber) {
+        errors.push({ row: index + 1, error: 'seasonNumber must be a positive integer' });
+        return;
+      }
+      result = validateEpisodeInput(row);
+      if (!result.error) {
+        result.value.seasonNumber = seasonNumber;
+        key = `${seasonNumber}x${result.value.episodeNumber}`;
+      }
+    } else {
+      result = validateMovieInput(row);
+      if (!result.error) key = result.value.name.toLowerCase();
+    }
+    if (result.error) {
+      errors.push({ row: index + 1, error: result.error });
+    } else if (seen.has(key)) {
+      errors.push({ row: index + 1, error: 'Duplicate entry in file' });
+    } else {
+      seen.add(key);
+      items.push(result.value);
+    }
+  });
+
+  return { kind, items, errors };
+};
+
+const parseImportContent = (content, format) => {
+  const text = String(content).replace(/^\uFEFF/, '');
+  let rows;
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+    rows = Array.isArray(parsed) ? parsed : (parsed && (parsed.episodes || parsed.movies));
+    if (!Array.isArray(rows)) {
+      return { error: 'JSON must be an array, or an object with an "episodes" or "movies" array' };
+    }
+  } else if (format === 'csv') {
+    rows = parseCsv(text);
+  } else {
+    return { error: 'Unsupported format. Use CSV or JSON.' };
+  }
+  if (rows.length === 0) {
+    return { error: 'The file has no rows to import' };
+  }
+  return validateImportRows(rows);
+};
+
+const formatEpisodeCode = (item) => `S${item.seasonNumber}E${item.episodeNumber}`;
+
+// Compares the parsed items against the library without writing anything.
+const buildImportPlan = async ({ kind, items, errors }, seriesId) => {
+  if (kind === 'movies') {
+    const existing = await Movie.find({ name: { $in: items.map(i => i.name) } }, 'name')
+      .collation({ locale: 'en', strength: 2 });
+    const existingNames = new Set(existing.map(m => m.name.toLowerCase()));
+    const conflicts = items.filter(i => existingNames.has(i.name.toLowerCase())).map(i => i.name);
+    return { kind, items, errors, conflicts, newCount: items.length - conflicts.length };
+  }
+
+  const series = await Series.findById(seriesId);
+  if (!series) return null;
+  const conflicts = [];
+  const newSeasons = new Set();
+  for (const item of items) {
+    const season = series.seasons.find(s => s.seasonNumber === item.seasonNumber);
+    if (!season) {
+      newSeasons.add(item.seasonNumber);
+    } else if (season.episodes.some(e => e.episodeNumber === item.episodeNumber)) {
+      conflicts.push(formatEpisodeCode(item));
+    }
+  }
+  return {
+    kind,
+    items,
+    errors,
+    conflicts,
+    newCount: items.length - conflicts.length,
+    newSeasons: [...newSeasons].sort((a, b) => a - b),
+    seriesId: series._id.toString(),
+    seriesName: series.name
+  };
+};
+
+const formatImportPreview = (plan) => {
+  const target = plan.kind === 'movies'
+    ? `${plan.items.length} movie(s)`
+    : `${plan.items.length} episode(s) for "${plan.seriesName}"`;
+  const lines = [`📥 Import preview — ${target}`, '', `✅ New: ${plan.newCount}`];
+  if (plan.newSeasons && plan.newSeasons.length > 0) {
+    lines.push(`🔢 New seasons: ${plan.newSeasons.join(', ')}`);
+  }
+  if (plan.conflicts.length > 0) {
+    const shown = plan.conflicts.slice(0, 15).join(', ');
+    lines.push(`⚠️ Already in library: ${plan.conflicts.length} (${shown}${plan.conflicts.length > 15 ? ', …' : ''})`);
+  }
+  if (plan.errors.length > 0) {
+    lines.push(`❌ Invalid rows (will be ignored): ${plan.errors.length}`);
+    plan.errors.slice(0, 10).forEach(e => lines.push(`   • Row ${e.row}: ${e.error}`));
+    if (plan.errors.length > 10) lines.push('   • …');
+  }
+  return lines.join('\n');
+};
+
+// Writes the items. Existing movies/episodes are skipped unless overwrite is set.
+const applyImport = async ({ kind, items, seriesId }, { overwrite = false, actor }) => {
+  const result = { created: 0, updated: 0, skipped: 0 };
+
+  if (kind === 'movies') {
+    for (const item of items) {
+      const existing = await Movie.findOne({ name: item.name }).collation({ locale: 'en', strength: 2 });
+      if (!existing) {
+        await saveLibraryDocument(new Movie({ ...item, addedBy: actor.userId }), actor, { context: 'import' });
+        result.created++;
+      } else if (overwrite) {
+        const before = snapshotForAudit(existing);
+        existing.set(item);
+        setPrimaryStreamingUrl(existing, item.streamingUrl);
+        await saveLibraryDocument(existing, actor, { before, context: 'import' });
+        result.updated++;
       } else {
-        await bot.sendMessage(chatId, '❌ Series not found.', getMainMenuKeyboard());
+        result.skipped++;
       }
-    } else if (data.startsWith('edit_field_movie_')) {
-        const userData = tempData.get(chatId);
-        if (!userData || userData.type !== 'movie' || !userData.movieId) {
-          await bot.sendMessage(chatId, '❌ No movie selected for editing. Please try again.', getMainMenuKeyboard());
-          return;
-        }
-        const fieldToEdit = extractId(data, 'edit_field_movie_');
-        switch (fieldToEdit) {
-          case 'name':
-            userStates.set(chatId, 'editing_movie_name');
-            await bot.sendMessage(chatId, '✍️ Enter the new movie name:');
-            break;
-          case 'thumbnail':
-            userStates.set(chatId, 'editing_movie_thumbnail');
-            await bot.sendMessage(chatId, '📸 Enter the new movie thumbnail URL:');
-            break;
-          case 'streaming_url':
-            userStates.set(chatId, 'editing_movie_streaming_url');
-            await bot.sendMessage(chatId, '🔗 Enter the new streaming URL:');
-            break;
-          default:
-            await bot.sendMessage(chatId, '❌ Invalid edit option.', getMainMenuKeyboard());
-            break;
-        }
-    } else if (data.startsWith('edit_field_series_')) {
-        const userData = tempData.get(chatId);
-        if (!userData || userData.type !== 'series' || !userData.seriesId) {
-          await bot.sendMessage(chatId, '❌ No series selected for editing. Please try again.', getMainMenuKeyboard());
-          return;
-        }
-        const fieldToEdit = extractId(data, 'edit_field_series_');
-        switch (fieldToEdit) {
-          case 'name':
-            userStates.set(chatId, 'editing_series_name');
-            await bot.sendMessage(chatId, '✍️ Enter the new series name:');
-            break;
-          case 'thumbnail':
-            userStates.set(chatId, 'editing_series_thumbnail');
-            await bot.sendMessage(chatId, '📸 Enter the new series thumbnail URL:');
-            break;
-          default:
-            await bot.sendMessage(chatId, '❌ Invalid edit option.', getMainMenuKeyboard());
-            break;
-        }
-    } else if (data.startsWith('select_season_')) {
-        const parts = data.split('_');
-        const seriesId = parts[2];
-        const seasonNumber = parseInt(parts[3]);
+    }
+    return result;
+  }
+
+  const series = await Series.findById(seriesId);
+  if (!series) throw new Error('Series not found');
+  const before = snapshotForAudit(series);
+  for (const { seasonNumber, ...episode } of items) {
+    let season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+    if (!season) {
+      series.seasons.push({ seasonNumber, episodes: [] });
+      season = series.seasons[series.seasons.length - 1];
+    }
+    const existing = season.episodes.find(e => e.episodeNumber === episode.episodeNumber);
+    if (!existing) {
+      season.episodes.push(episode);
+      result.created++;
+    } else if (overwrite) {
+      existing.set(episode);
+      setPrimaryStreamingUrl(existing, episode.streamingUrl);
+      result.updated++;
+    } else {
+      result.skipped++;
+    }
+  }
+  series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+  series.seasons.forEach(s => s.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber));
+  await saveLibraryDocument(series, actor, { before, context: 'import' });
+  return result;
+};
+
+const formatImportResult = (result) =>
+  `✅ Import complete!\n\n➕ Created: ${result.created}\n♻️ Updated: ${result.updated}\n⏭️ Skipped: ${result.skipped}`;
+
+// ================================================================
+// BACKUP & RESTORE
+// ================================================================
+
+const LIBRARY_ARCHIVE_FORMAT = 'movtv-library';
+const LIBRARY_ARCHIVE_VERSION = 1;
+const LIBRARY_ARCHIVE_ENTRY = 'library.json';
+const RESTORE_MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// Subtitle files live in their own collection, so the ones the library references are exported
+// alongside it; otherwise a restore onto an empty database would leave every subtitleId dangling.
+const exportLibrary = async () => {
+  const [movies, series] = await Promise.all([
+    Movie.find().sort({ addedAt: 1 }).lean(),
+    Series.find().sort({ addedAt: 1 }).lean()
+  ]);
+  const subtitles = await Subtitle.find({ _id: { $in: collectSubtitleIds([movies, series]) } }).lean();
+  return {
+    format: LIBRARY_ARCHIVE_FORMAT,
+    version: LIBRARY_ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    counts: {
+      movies: movies.length,
+      series: series.length,
+      episodes: series.reduce((total, s) => total + s.seasons.reduce((sum, season) => sum + season.episodes.length, 0), 0),
+      subtitles: subtitles.length
+    },
+    movies,
+    series,
+    subtitles
+  };
+};
+
+const createLibraryArchive = async () => {
+  const library = await exportLibrary();
+  const buffer = await new Promise((resolve, reject) => {
+    const chunks = [];
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    archive.append(JSON.stringify(library, null, 2), { name: LIBRARY_ARCHIVE_ENTRY });
+    archive.finalize();
+  });
+  const fileName = `movtv-backup-${library.exportedAt.slice(0, 10)}.zip`;
+  return { buffer, fileName, library };
+};
+
+// Minimal zip reader for our own archives: walks the central directory and inflates entries.
+const readZipEntries = (buffer) => {
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const entries = {};
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip archive');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries[name] = data;
+    } else if (method === 8) {
+      entries[name] = zlib.inflateRawSync(data);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Accepts a zip produced by createLibraryArchive() or the bare library.json.
+const parseLibraryArchive = (buffer) => {
+  let library;
+  try {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    const json = isZip ? readZipEntries(buffer)[LIBRARY_ARCHIVE_ENTRY] : buffer;
+    if (!json) return { error: `The archive does not contain ${LIBRARY_ARCHIVE_ENTRY}` };
+    library = JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    return { error: `Could not read backup: ${error.message}` };
+  }
+  if (!isPlainObject(library) || library.format !== LIBRARY_ARCHIVE_FORMAT) {
+    return { error: 'This is not a library backup' };
+  }
+  if (!(library.version <= LIBRARY_ARCHIVE_VERSION)) {
+    return { error: `Backup version ${library.version} is newer than this server supports (${LIBRARY_ARCHIVE_VERSION})` };
+  }
+  if (!Array.isArray(library.movies) || !Array.isArray(library.series)) {
+    return { error: 'Backup is missing the movies or series list' };
+  }
+  // Older backups have no subtitles list.
+  if (library.subtitles !== undefined && !Array.isArray(library.subtitles)) {
+    return { error: 'Backup subtitles must be a list' };
+  }
+  return { library };
+};
+
+const toComparableJson = (doc) => {
+  const { __v, ...rest } = doc.toObject();
+  return JSON.stringify(rest);
+};
+
+// Merge adds what is missing and leaves existing items alone. Replace makes the collection match
+// the backup exactly: changed items are overwritten and items not in the backup are moved to the
+// trash, so a wrong backup can still be undone.
+const restoreCollection = async (Model, docs, validate, { mode, dryRun, actor }) => {
+  const targetType = Model.modelName.toLowerCase();
+  const report = { created: 0, updated: 0, skipped: 0, deleted: 0, invalid: 0 };
+  const errors = [];
+  const keepIds = docs.filter(doc => doc && mongoose.isValidObjectId(doc._id)).map(doc => String(doc._id));
+  const existingById = new Map(
+    (await Model.find({ _id: { $in: keepIds } })).map(doc => [String(doc._id), doc])
+  );
+
+  for (const doc of docs) {
+    const { error } = validate(doc);
+    if (error || !mongoose.isValidObjectId(doc._id)) {
+      report.invalid++;
+      errors.push(`${Model.modelName} "${(doc && (doc.name || doc._id)) || '?'}": ${error || 'missing _id'}`);
+      continue;
+    }
+    const incoming = new Model({ addedBy: actor.userId, ...doc });
+    const existing = existingById.get(String(doc._id));
+    if (!existing) {
+      if (!dryRun) {
+        await incoming.save();
+        await recordAudit(actor, 'create', targetType, null, snapshotForAudit(incoming), { context: 'restore' });
+      }
+      report.created++;
+    } else if (mode === 'merge' || toComparableJson(existing) === toComparableJson(incoming)) {
+      report.skipped++;
+    } else {
+      if (!dryRun) {
+        await Model.replaceOne({ _id: doc._id }, incoming.toObject());
+        await recordAudit(actor, 'update', targetType, snapshotForAudit(existing), snapshotForAudit(incoming), { context: 'restore' });
+      }
+      report.updated++;
+    }
+  }
+
+  if (mode === 'replace') {
+    const staleDocs = await Model.find({ _id: { $nin: keepIds } }, '_id');
+    report.deleted = staleDocs.length;
+    if (!dryRun) {
+      for (const staleDoc of staleDocs) {
+        await moveToTrash({ kind: targetType, id: String(staleDoc._id) }, actor, { context: 'restore' });
+      }
+    }
+  }
+  return { report, errors };
+};
+
+// Subtitle files are only added: one that already exists is left alone, and files missing from
+// the backup are kept even in replace mode because trashed items may still use them.
+const restoreSubtitles = async (subtitles, { dryRun }) => {
+  const report = { created: 0, skipped: 0, invalid: 0 };
+  const errors = [];
+  const valid = subtitles.filter(subtitle => {
+    const isValid = isPlainObject(subtitle) && mongoose.isValidObjectId(subtitle._id) &&
+      typeof subtitle.content === 'string' && subtitle.content.length > 0;
+    if (!isValid) {
+      report.invalid++;
+      errors.push(`Subtitle "${(subtitle && (subtitle.fileName || subtitle._id)) || '?'}": missing _id or content`);
+    }
+    return isValid;
+  });
+  const existingIds = new Set(
+    (await Subtitle.find({ _id: { $in: valid.map(subtitle => subtitle._id) } }, '_id').lean()).map(doc => String(doc._id))
+  );
+  for (const subtitle of valid) {
+    if (existingIds.has(String(subtitle._id))) {
+      report.skipped++;
+      continue;
+    }
+    if (!dryRun) await new Subtitle(subtitle).save();
+    existingIds.add(String(subtitle._id));
+    report.created++;
+  }
+  return { report, errors };
+};
+
+const restoreLibrary = async (library, { mode, dryRun = false, actor }) => {
+  const options = { mode, dryRun, actor };
+  const subtitles = await restoreSubtitles(library.subtitles || [], options);
+  const movies = await restoreCollection(Movie, library.movies, validateMovieInput, options);
+  const series = await restoreCollection(Series, library.series, validateSeriesInput, options);
+  return {
+    mode,
+    dryRun,
+    movies: movies.report,
+    series: series.report,
+    subtitles: subtitles.report,
+    errors: [...subtitles.errors, ...movies.errors, ...series.errors]
+  };
+};
+
+const formatRestoreCounts = (report) =>
+  `+${report.created} created, ${report.updated} updated, ${report.skipped} skipped` +
+  (report.deleted ? `, ${report.deleted} moved to trash` : '') +
+  (report.invalid ? `, ${report.invalid} invalid` : '');
+
+const formatRestoreReport = (result) => [
+  `${result.mode === 'merge' ? '🔀 Merge' : '♻️ Replace'}${result.dryRun ? ' (dry run)' : ''}`,
+  `🎬 Movies: ${formatRestoreCounts(result.movies)}`,
+  `📺 Series: ${formatRestoreCounts(result.series)}`,
+  `💬 Subtitles: +${result.subtitles.created} created, ${result.subtitles.skipped} already present` +
+    (result.subtitles.invalid ? `, ${result.subtitles.invalid} invalid` : '')
+].join('\n');
+
+// ================================================================
+// TRASH
+// ================================================================
+
+// Deleted movies, series, seasons and episodes are moved into the TrashItem collection as
+// snapshots, so they disappear from every read path until restored or purged.
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Targets are encoded as "movie_<id>", "series_<id>", "season_<seriesId>_<n>" or
+// "episode_<seriesId>_<season>_<episode>" in callback data.
+const parseTrashTarget = (value) => {
+  const [kind, id, seasonNumber, episodeNumber] = (value || '').split('_');
+  return {
+    kind,
+    id,
+    seasonNumber: parsePositiveInteger(seasonNumber),
+    episodeNumber: parsePositiveInteger(episodeNumber)
+  };
+};
+
+const formatTrashTarget = ({ kind, id, seasonNumber, episodeNumber }) =>
+  [kind, id, seasonNumber, episodeNumber].filter(part => part !== null && part !== undefined).join('_');
+
+const loadTrashTarget = async ({ kind, id, seasonNumber, episodeNumber }) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  if (kind === 'movie') {
+    const movie = await Movie.findById(id);
+    return movie && { doc: movie, label: `🎬 Movie "${movie.name}"` };
+  }
+  const series = await Series.findById(id);
+  if (!series) return null;
+  if (kind === 'series') {
+    return { doc: series, label: `📺 Series "${series.name}"` };
+  }
+  const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+  if (!season) return null;
+  if (kind === 'season') {
+    return { series, doc: season, label: `📺 "${series.name}" Season ${seasonNumber}` };
+  }
+  if (kind === 'episode') {
+    const episode = season.episodes.find(e => e.episodeNumber === episodeNumber);
+    return episode && {
+      series,
+      season,
+      doc: episode,
+      label: `📹 "${series.name}" S${seasonNumber}E${episodeNumber}: ${episode.title}`
+    };
+  }
+  return null;
+};
+
+const getTrashScope = ({ kind, seasonNumber, episodeNumber }) =>
+  kind === 'season' ? `Season ${seasonNumber}` : `S${seasonNumber}E${episodeNumber}`;
+
+const moveToTrash = async (target, actor, { context = 'trash' } = {}) => {
+  const loaded = await loadTrashTarget(target);
+  if (!loaded) return null;
+  const trashItem = new TrashItem({
+    kind: target.kind,
+    label: loaded.label,
+    seriesId: loaded.series ? loaded.series._id : undefined,
+    seasonNumber: target.kind === 'episode' ? target.seasonNumber : undefined,
+    payload: loaded.doc.toObject(),
+    deletedBy: actor.userId
+  });
+  await trashItem.save();
+
+  if (target.kind === 'movie' || target.kind === 'series') {
+    await loaded.doc.constructor.deleteOne({ _id: loaded.doc._id });
+    await recordAudit(actor, 'delete', target.kind, snapshotForAudit(loaded.doc), null, { context });
+  } else {
+    const before = snapshotForAudit(loaded.series);
+    if (target.kind === 'season') {
+      loaded.series.seasons.pull(loaded.doc._id);
+    } else {
+      loaded.season.episodes.pull(loaded.doc._id);
+    }
+    await saveLibraryDocument(loaded.series, actor, {
+      action: 'delete', before, scope: getTrashScope(target), context
+    });
+  }
+  return trashItem;
+};
+
+const restoreFromTrash = async (trashId, actor) => {
+  const trashItem = mongoose.isValidObjectId(trashId) ? await TrashItem.findById(trashId) : null;
+  if (!trashItem) return { error: 'This item is no longer in the trash' };
+  const { kind, payload } = trashItem;
+
+  if (kind === 'movie' || kind === 'series') {
+    const Model = kind === 'movie' ? Movie : Series;
+    if (await Model.exists({ _id: payload._id })) {
+      return { error: `${trashItem.label} already exists` };
+    }
+    await saveLibraryDocument(new Model(payload), actor, { action: 'restore', context: 'trash' });
+  } else {
+    const series = await Series.findById(trashItem.seriesId);
+    if (!series) return { error: 'Restore the series first' };
+    const before = snapshotForAudit(series);
+    if (kind === 'season') {
+      if (series.seasons.some(s => s.seasonNumber === payload.seasonNumber)) {
+        return { error: `Season ${payload.seasonNumber} already exists` };
+      }
+      series.seasons.push(payload);
+      series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+    } else {
+      let season = series.seasons.find(s => s.seasonNumber === trashItem.seasonNumber);
+      if (!season) {
+        const seasonInTrash = await TrashItem.exists({
+          kind: 'season', seriesId: trashItem.seriesId, 'payload.seasonNumber': trashItem.seasonNumber
+        });
+        if (seasonInTrash) return { error: `Restore Season ${trashItem.seasonNumber} first` };
+        series.seasons.push({ seasonNumber: trashItem.seasonNumber, episodes: [] });
+        series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+        season = series.seasons.find(s => s.seasonNumber === trashItem.seasonNumber);
+      }
+      if (season.episodes.some(e => e.episodeNumber === payload.episodeNumber)) {
+        return { error: `Episode ${payload.episodeNumber} already exists in Season ${trashItem.seasonNumber}` };
+      }
+      season.episodes.push(payload);
+      season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+    }
+    const scope = getTrashScope({ kind, seasonNumber: trashItem.seasonNumber || payload.seasonNumber, episodeNumber: payload.episodeNumber });
+    await saveLibraryDocument(series, actor, { action: 'restore', before, scope, context: 'trash' });
+  }
+
+  await TrashItem.deleteOne({ _id: trashItem._id });
+  return { trashItem };
+};
+
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_MS);
+    const expired = await TrashItem.find({ deletedAt: { $lt: cutoff } });
+    if (expired.length === 0) return;
+    await TrashItem.deleteMany({ _id: { $in: expired.map(item => item._id) } });
+    // Subtitle files belong to the purged items, which can no longer be restored.
+    const subtitleIds = collectSubtitleIds(expired.map(item => item.payload));
+    if (subtitleIds.length > 0) {
+      await Subtitle.deleteMany({ _id: { $in: subtitleIds } });
+    }
+    console.log(`🧹 Purged ${expired.length} item(s) from the trash`);
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+  }
+};
+
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+
+const getUndoKeyboard = (trashItem) => ({
+  reply_markup: {
+    inline_keyboard: [[{ text: '↩️ Undo', callback_data: `undo_${trashItem._id}` }]]
+  }
+});
+
+// ================================================================
+// SUBTITLES
+// ================================================================
+
+// Subtitle files are stored as WebVTT in their own collection; movies and episodes only keep
+// { subtitleId, language, label } track references, served from /api/subtitles/:id.vtt.
+const SUBTITLE_MAX_FILE_BYTES = 2 * 1024 * 1024;
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+const SUBTITLE_LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const isSubtitleFile = (fileName) => SUBTITLE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+// Most subtitle files are UTF-8, but older SRTs are often Latin-1.
+const decodeSubtitleBuffer = (buffer) => {
+  const text = buffer.toString('utf8');
+  return (text.includes('\uFFFD') ? buffer.toString('latin1') : text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
+};
+
+const convertSrtToVtt = (srt) =>
+  `WEBVTT\n\n${srt.trim().replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')}\n`;
+
+const parseSubtitleFile = (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (!SUBTITLE_EXTENSIONS.includes(extension)) {
+    return { error: 'Subtitles must be a .srt or .vtt file' };
+  }
+  const text = decodeSubtitleBuffer(buffer);
+  if (!text.includes('-->')) {
+    return { error: 'No subtitle cues found in the file' };
+  }
+  if (extension === '.vtt') {
+    return /^WEBVTT/.test(text) ? { content: text } : { error: 'WebVTT files must start with "WEBVTT"' };
+  }
+  return { content: convertSrtToVtt(text) };
+};
+
+// Accepts "en" or "en English (US)": a BCP 47 code, optionally followed by a label.
+const parseSubtitleLanguage = (text) => {
+  const [language, ...labelParts] = text.trim().split(/\s+/);
+  if (!language || !SUBTITLE_LANGUAGE_PATTERN.test(language)) {
+    return { error: 'Please start with a language code such as en, es or pt-BR' };
+  }
+  return { value: { language, label: labelParts.join(' ') || getLanguageName(language) } };
+};
+
+const collectSubtitleIds = (value, ids = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectSubtitleIds(item, ids));
+  } else if (isPlainObject(value) && !(value instanceof mongoose.Types.ObjectId)) {
+    if (value.subtitleId) ids.push(value.subtitleId);
+    Object.values(value).forEach(item => collectSubtitleIds(item, ids));
+  }
+  return ids;
+};
+
+// ================================================================
+// PLAYLISTS
+// ================================================================
+
+// M3U and XSPF exports for external players (VLC, Kodi, ...). Entries are
+// { title, url, logo, group, seconds } with seconds -1 when the length is unknown.
+const PLAYLIST_FORMATS = {
+  m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', build: (title, entries) => buildM3uPlaylist(entries) },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', build: (title, entries) => buildXspfPlaylist(title, entries) }
+};
+
+// Titles and attributes are single-line in M3U, and attribute values can't contain quotes.
+const toM3uText = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+const toM3uAttribute = (value) => toM3uText(value).replace(/"/g, "'");
+
+const escapePlaylistXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const buildM3uPlaylist = (entries) => [
+  '#EXTM3U',
+  ...entries.flatMap(entry => [
+    `#EXTINF:${entry.seconds} ` +
+      (entry.logo ? `tvg-logo="${toM3uAttribute(entry.logo)}" ` : '') +
+      `group-title="${toM3uAttribute(entry.group)}",${toM3uText(entry.title)}`,
+    entry.url
+  ])
+].join('\n') + '\n';
+
+const buildXspfPlaylist = (title, entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+  `  <title>${escapePlaylistXml(title)}</title>`,
+  '  <trackList>',
+  ...entries.map(entry => [
+    '    <track>',
+    `      <location>${escapePlaylistXml(entry.url)}</location>`,
+    `      <title>${escapePlaylistXml(entry.title)}</title>`,
+    `      <album>${escapePlaylistXml(entry.group)}</album>`,
+    ...(entry.logo ? [`      <image>${escapePlaylistXml(entry.logo)}</image>`] : []),
+    ...(entry.seconds > 0 ? [`      <duration>${entry.seconds * 1000}</duration>`] : []),
+    '    </track>'
+  ].join('\n')),
+  '  </trackList>',
+  '</playlist>'
+].join('\n') + '\n';
+
+const getMoviePlaylistEntries = (movies) => movies.map(movie => ({
+  title: movie.year ? `${movie.name} (${movie.year})` : movie.name,
+  url: movie.streamingUrl,
+  logo: movie.thumbnail,
+  group: 'Movies',
+  seconds: movie.runtime ? movie.runtime * 60 : -1
+}));
+
+// Episodes in season/episode order, titled "Series - S01E02 - Title".
+const getSeriesPlaylistEntries = (series) => [...series.seasons]
+  .sort((a, b) => a.seasonNumber - b.seasonNumber)
+  .flatMap(season => [...season.episodes]
+    .sort((a, b) => a.episodeNumber - b.episodeNumber)
+    .map(episode => ({
+      title: `${series.name} - S${String(season.seasonNumber).padStart(2, '0')}E${String(episode.episodeNumber).padStart(2, '0')} - ${episode.title}`,
+      url: episode.streamingUrl,
+      logo: episode.thumbnail || series.thumbnail,
+      group: `${series.name} - Season ${season.seasonNumber}`,
+      seconds: series.runtime ? series.runtime * 60 : -1
+    })));
+
+const getPlaylistFileName = (name, format) =>
+  `${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'playlist'}.${format}`;
+
+// ================================================================
+// METADATA PROVIDERS
+// ================================================================
+
+// The TMDB and local fixture providers are in lib/metadata-providers.js. The fixture provider
+// reads metadata-fixture.json by default, which has a few sample titles for offline use.
+const metadataProvider = (() => {
+  if (METADATA_PROVIDER === 'tmdb') {
+    if (!TMDB_API_KEY) {
+      console.warn('⚠️ METADATA_PROVIDER is tmdb but TMDB_API_KEY is not set. Metadata auto-fill is disabled.');
+      return null;
+    }
+    return createTmdbMetadataProvider(TMDB_API_KEY, TMDB_REGION);
+  }
+  if (METADATA_PROVIDER === 'fixture') {
+    return createFixtureMetadataProvider(METADATA_FIXTURE_PATH);
+  }
+  return null;
+})();
+
+const getDraftMetadata = (data) => Object.fromEntries(
+  Object.keys(METADATA_FIELDS).filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// Copies what the provider returned onto a new movie/series draft. Values go through the same
+// validation as user input, and for series the episode skeleton becomes the list of
+// episodes still waiting for a streaming URL.
+const applyMetadataDetails = (data, details) => {
+  if (typeof details.name === 'string' && details.name.trim()) data.name = details.name.trim();
+  if (typeof details.thumbnail === 'string' && details.thumbnail.trim()) data.thumbnail = details.thumbnail.trim();
+  for (const field of Object.keys(METADATA_FIELDS)) {
+    const { value } = parseMetadataValue(field, details[field]);
+    if (value !== undefined && !(Array.isArray(value) && value.length === 0)) data[field] = value;
+  }
+  if (data.type === 'series' && Array.isArray(details.seasons)) {
+    data.pendingEpisodes = details.seasons.flatMap(season => {
+      const seasonNumber = parsePositiveInteger(season.seasonNumber);
+      if (!seasonNumber || !Array.isArray(season.episodes)) return [];
+      return season.episodes
+        .filter(episode => parsePositiveInteger(episode.episodeNumber))
+        .map(episode => {
+          const episodeNumber = parsePositiveInteger(episode.episodeNumber);
+          return {
+            seasonNumber,
+            episodeNumber,
+            title: (typeof episode.title === 'string' && episode.title.trim()) || `Episode ${episodeNumber}`,
+            ...(episode.thumbnail ? { thumbnail: episode.thumbnail } : {})
+          };
+        });
+    });
+  }
+};
+
+// ================================================================
+// LINK HEALTH
+// ================================================================
+
+// A background job probes every streamingUrl and thumbnail and stores the result on the item
+// under linkHealth.<field>; the other sources of a movie or episode get their own linkHealth.
+// Results record the URL they were taken for, so a link that has been edited since its last
+// check is no longer reported as broken.
+const LINK_FIELDS = ['streamingUrl', 'thumbnail'];
+const LINK_FIELD_LABELS = { streamingUrl: '🔗 Streaming URL', thumbnail: '📸 Thumbnail', source: '🎞️ Source' };
+const LINK_DIGEST_MAX_LINKS = 10;
+
+let linkCheckRun = null;
+let lastLinkCheck = null;
+
+const probeLink = createLinkProber({ timeoutMs: LINK_CHECK_TIMEOUT_MS });
+
+// Sources after the first; the first one is the item's streamingUrl.
+const getExtraSources = (item) => (item.sources || []).filter(source => source.url && source.url !== item.streamingUrl);
+
+const getSourceTargets = (Model, id, item, pathPrefix, arrayFilters) => getExtraSources(item).map(source => ({
+  Model,
+  id,
+  url: source.url,
+  format: source.format,
+  path: `${pathPrefix}sources.$[source].linkHealth`,
+  arrayFilters: [...arrayFilters, { 'source._id': source._id }]
+}));
+
+// Every link in the library, with the update that stores its result.
+const collectLinkTargets = async () => {
+  const targets = [];
+  for (const movie of await Movie.find({}, 'streamingUrl thumbnail sources').lean()) {
+    for (const field of LINK_FIELDS) {
+      if (movie[field]) targets.push({ Model: Movie, id: movie._id, url: movie[field], path: `linkHealth.${field}` });
+    }
+    targets.push(...getSourceTargets(Movie, movie._id, movie, '', []));
+  }
+  for (const series of await Series.find({}, 'thumbnail seasons.seasonNumber seasons.episodes').lean()) {
+    if (series.thumbnail) {
+      targets.push({ Model: Series, id: series._id, url: series.thumbnail, path: 'linkHealth.thumbnail' });
+    }
+    for (const season of series.seasons) {
+      for (const episode of season.episodes) {
+        for (const field of LINK_FIELDS) {
+          if (!episode[field]) continue;
+          targets.push({
+            Model: Series,
+            id: series._id,
+            url: episode[field],
+            path: `seasons.$[season].episodes.$[episode].linkHealth.${field}`,
+            arrayFilters: [{ 'season.seasonNumber': season.seasonNumber }, { 'episode.episodeNumber': episode.episodeNumber }]
+          });
+        }
+        targets.push(...getSourceTargets(Series, series._id, episode, 'seasons.$[season].episodes.$[episode].', [
+          { 'season.seasonNumber': season.seasonNumber },
+          { 'episode.episodeNumber': episode.episodeNumber }
+        ]));
+      }
+    }
+  }
+  return targets;
+};
+
+// Results are written with updateOne rather than saveLibraryDocument: a probe is not a library
+// change, so it must not bump updatedAt, appear in the audit log or invalidate cached responses.
+const checkAllLinks = async () => {
+  const startedAt = new Date();
+  const targets = await collectLinkTargets();
+  // Episodes often share their series' thumbnail, so each URL is probed once per run.
+  const probes = new Map();
+  let broken = 0;
+  let next = 0;
+  const worker = async () => {
+    while (next < targets.length) {
+      const target = targets[next++];
+      if (!probes.has(target.url)) {
+        probes.set(target.url, probeLink(target.url, { hls: (target.format || inferSourceFormat(target.url)) === 'm3u8' }));
+      }
+      const check = await probes.get(target.url);
+      if (check.status === 'broken') broken++;
+      await target.Model.updateOne(
+        { _id: target.id },
+        { $set: { [target.path]: check } },
+        { ...(target.arrayFilters && { arrayFilters: target.arrayFilters }), skipLibraryVersion: true }
+      );
+    }
+  };
+  await Promise.all(Array.from({ length: LINK_CHECK_CONCURRENCY }, worker));
+  lastLinkCheck = { startedAt, finishedAt: new Date(), links: targets.length, urls: probes.size, broken };
+  console.log(`🩺 Checked ${targets.length} link(s): ${broken} broken`);
+  return lastLinkCheck;
+};
+
+// Overlapping triggers (schedule, API) share the run in progress.
+const runLinkHealthCheck = () => {
+  if (!linkCheckRun) {
+    linkCheckRun = checkAllLinks().finally(() => {
+      linkCheckRun = null;
+    });
+  }
+  return linkCheckRun;
+};
+
+const isBrokenCheck = (check, url) => Boolean(check && check.status === 'broken' && check.url === url);
+
+const toBrokenLink = (check, fields) => ({
+  ...fields,
+  url: check.url,
+  statusCode: check.statusCode,
+  error: check.error,
+  latencyMs: check.latencyMs,
+  checkedAt: check.checkedAt
+});
+
+// Broken extra sources, numbered as in the bot's sources menu.
+const getBrokenSources = (item, fields) => (item.sources || [])
+  .map((source, index) => ({ source, sourceNumber: index + 1 }))
+  .filter(({ source }) => source.url !== item.streamingUrl && isBrokenCheck(source.linkHealth, source.url))
+  .map(({ source, sourceNumber }) => toBrokenLink(source.linkHealth, { ...fields, field: 'source', sourceNumber }));
+
+const getBrokenLinks = async () => {
+  const links = [];
+  const brokenPaths = (prefix) => [
+    ...LINK_FIELDS.map(field => ({ [`${prefix}linkHealth.${field}.status`]: 'broken' })),
+    { [`${prefix}sources.linkHealth.status`]: 'broken' }
+  ];
+
+  for (const movie of await Movie.find({ $or: brokenPaths('') }).sort({ name: 1 }).lean()) {
+    for (const field of LINK_FIELDS) {
+      const check = movie.linkHealth && movie.linkHealth[field];
+      if (isBrokenCheck(check, movie[field])) {
+        links.push(toBrokenLink(check, { targetType: 'movie', targetId: movie._id, targetName: movie.name, field }));
+      }
+    }
+    links.push(...getBrokenSources(movie, { targetType: 'movie', targetId: movie._id, targetName: movie.name }));
+  }
+  for (const series of await Series.find({ $or: [...brokenPaths(''), ...brokenPaths('seasons.episodes.')] }).sort({ name: 1 }).lean()) {
+    const check = series.linkHealth && series.linkHealth.thumbnail;
+    if (isBrokenCheck(check, series.thumbnail)) {
+      links.push(toBrokenLink(check, { targetType: 'series', targetId: series._id, targetName: series.name, field: 'thumbnail' }));
+    }
+    for (const season of series.seasons) {
+      for (const episode of season.episodes) {
+        const episodeFields = {
+          targetType: 'series',
+          targetId: series._id,
+          targetName: series.name,
+          scope: `S${season.seasonNumber}E${episode.episodeNumber}`,
+          seasonNumber: season.seasonNumber,
+          episodeNumber: episode.episodeNumber
+        };
+        for (const field of LINK_FIELDS) {
+          const episodeCheck = episode.linkHealth && episode.linkHealth[field];
+          if (isBrokenCheck(episodeCheck, episode[field])) links.push(toBrokenLink(episodeCheck, { ...episodeFields, field }));
+        }
+        links.push(...getBrokenSources(episode, episodeFields));
+      }
+    }
+  }
+  return links;
+};
+
+// "fixlink_<movie|series>_<id>_<field>[_<season>_<episode>]", handled by the bot callback. For a
+// broken source the field is "source" and the callback opens the sources menu.
+const getLinkFixCallback = (link) =>
+  ['fixlink', link.targetType, link.targetId, link.field, link.seasonNumber, link.episodeNumber]
+    .filter(part => part !== undefined)
+    .join('_');
+
+const getBrokenLinkKind = (link) => {
+  if (link.field === 'source') return `source #${link.sourceNumber}`;
+  return link.field === 'thumbnail' ? 'thumbnail' : 'stream';
+};
+
+const formatBrokenLink = (link) =>
+  `• ${link.targetType === 'movie' ? '🎬' : '📺'} ${link.targetName}${link.scope ? ` ${link.scope}` : ''} — ` +
+  `${LINK_FIELD_LABELS[link.field]}${link.sourceNumber ? ` #${link.sourceNumber}` : ''}: ${link.error}`;
+
+async function sendBrokenLinksReport(chatId, links, heading) {
+  const shown = links.slice(0, LINK_DIGEST_MAX_LINKS);
+  await bot.sendMessage(chatId,
+    `${heading}\n\n${shown.map(formatBrokenLink).join('\n')}` +
+    (links.length > shown.length ? `\n…and ${links.length - shown.length} more (see GET /api/health/links).` : '') +
+    '\n\nTap a link to fix it:',
+    {
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: shown.map(link => [{
+          text: `✏️ ${link.targetName}${link.scope ? ` ${link.scope}` : ''} (${getBrokenLinkKind(link)})`,
+          callback_data: getLinkFixCallback(link)
+        }])
+      }
+    }
+  );
+}
+
+// Sent to every admin once a day, only when something is broken.
+const sendLinkHealthDigest = async () => {
+  try {
+    const links = await getBrokenLinks();
+    if (links.length === 0) return;
+    for (const adminId of await getAdminIds()) {
+      await sendBrokenLinksReport(adminId, links, `🩺 Daily link check: ${links.length} broken link(s)`)
+        .catch(error => console.error(`❌ Error sending link digest to ${adminId}:`, error.message));
+    }
+  } catch (error) {
+    console.error('❌ Error sending link health digest:', error);
+  }
+};
+
+const scheduleLinkHealthDigest = () => {
+  const nextDigest = new Date();
+  nextDigest.setUTCHours(LINK_DIGEST_HOUR, 0, 0, 0);
+  if (nextDigest <= new Date()) nextDigest.setUTCDate(nextDigest.getUTCDate() + 1);
+  setTimeout(async () => {
+    await sendLinkHealthDigest();
+    scheduleLinkHealthDigest();
+  }, nextDigest - Date.now()).unref();
+};
+
+const scheduledLinkHealthCheck = () => runLinkHealthCheck()
+  .catch(error => console.error('❌ Error checking links:', error));
+
+if (LINK_CHECK_INTERVAL_HOURS > 0) {
+  setInterval(scheduledLinkHealthCheck, LINK_CHECK_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+  scheduleLinkHealthDigest();
+}
+
+// ================================================================
+// LIBRARY SEARCH
+// ================================================================
+
+// Name search shared by the catalogue views, inline mode, subscriptions and the Stremio add-on,
+// and the frontend deep links their results point to.
+const SEARCH_MAX_MATCHES = 50;
+// The typo fallback compares names in memory, so it only looks at the newest titles.
+const SEARCH_FUZZY_SCAN_LIMIT = 5000;
+const fuzzyNameLists = new Map();
+
+const getFrontendLink = (params) => `${FRONTEND_URL}/?${new URLSearchParams(params)}`;
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Every query word must be within a typo or two of some word in the name.
+const isFuzzyNameMatch = (name, queryWords) => {
+  const nameWords = name.toLowerCase().split(/\s+/);
+  return queryWords.every(queryWord => nameWords.some(nameWord =>
+    levenshtein(queryWord, nameWord.slice(0, queryWord.length + 1)) <= (queryWord.length > 5 ? 2 : 1)));
+};
+
+// Names for the typo fallback, newest titles first. The list is kept until the library version
+// changes, so typing in inline mode doesn't reload every name on each keystroke.
+const getFuzzyNameList = async (Model) => {
+  let version = null;
+  try {
+    version = await getLibraryVersion();
+  } catch (error) {
+    console.error('❌ Error reading library version:', error);
+  }
+  const cached = fuzzyNameLists.get(Model.modelName);
+  if (cached && version !== null && cached.version === version) return cached.names;
+  const names = Model.find({}, 'name').sort({ addedAt: -1 }).limit(SEARCH_FUZZY_SCAN_LIMIT).lean();
+  if (version !== null) {
+    fuzzyNameLists.set(Model.modelName, { version, names });
+    names.catch(() => fuzzyNameLists.delete(Model.modelName));
+  }
+  return names;
+};
+
+// Ranks exact names first, then name/word prefixes, then text-index matches by score, and
+// only scans for typos when nothing else matched. `limit` applies to each kind of match and
+// `filter` narrows the titles searched.
+const searchByName = async (Model, query, { limit = SEARCH_MAX_MATCHES, filter = {} } = {}) => {
+  const lowerQuery = query.toLowerCase();
+  const [textMatches, prefixMatches] = await Promise.all([
+    Model.find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .limit(limit)
+      .lean(),
+    // Sorted so that a larger limit returns a superset, which keeps paged results stable.
+    Model.find({ ...filter, name: new RegExp(`(^|\\s)${escapeRegex(query)}`, 'i') })
+      .sort({ name: 1, _id: 1 })
+      .limit(limit)
+      .lean()
+  ]);
+  const ranked = new Map();
+  const addMatch = (doc, rank) => {
+    const id = String(doc._id);
+    if (!ranked.has(id) || ranked.get(id).rank < rank) ranked.set(id, { doc, rank });
+  };
+  textMatches.forEach(doc => addMatch(doc, doc.score / (doc.score + 1)));
+  prefixMatches.forEach(doc => {
+    const name = doc.name.toLowerCase();
+    addMatch(doc, name === lowerQuery ? 4 : name.startsWith(lowerQuery) ? 3 : 2);
+  });
+
+  if (ranked.size === 0 && query.length >= 3) {
+    const queryWords = lowerQuery.split(/\s+/);
+    const names = await getFuzzyNameList(Model);
+    const ids = names.filter(doc => isFuzzyNameMatch(doc.name, queryWords)).map(doc => doc._id);
+    (await Model.find({ ...filter, _id: { $in: ids } }).sort({ name: 1, _id: 1 }).limit(limit).lean())
+      .forEach(doc => addMatch(doc, 0));
+  }
+  return [...ranked.values()];
+};
+
+// Movies and series whose name matches the query, best match first.
+const searchLibraryByName = async (query) => {
+  const [movies, series] = await Promise.all([searchByName(Movie, query), searchByName(Series, query)]);
+  return [...movies.map(match => ({ ...match, type: 'movie' })), ...series.map(match => ({ ...match, type: 'series' }))]
+    .sort((a, b) => b.rank - a.rank || a.doc.name.localeCompare(b.doc.name));
+};
+
+// ================================================================
+// NOTIFICATIONS
+// ================================================================
+
+// New movies, series and episodes are announced to subscribed chats and to ANNOUNCE_CHANNEL_ID.
+// Each message is queued as a NotificationDelivery and sent by one worker per instance at no more
+// than BROADCAST_RATE_PER_SECOND; Telegram's 429 retry_after pauses the whole queue. Workers
+// claim a delivery atomically before sending it, so with several instances it is still sent once.
+const DELIVERY_MAX_ATTEMPTS = 3;
+// A claim this old belongs to an instance that stopped mid-send; the delivery is queued again.
+const DELIVERY_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const ANNOUNCEMENT_MAX_EPISODES = 10;
+
+let broadcastRunning = false;
+let broadcastPausedUntil = 0;
+let broadcastTimer = null;
+
+const getTelegramError = (error) => {
+  const body = (error.response && error.response.body) || {};
+  return {
+    statusCode: body.error_code,
+    description: body.description || error.message,
+    retryAfter: body.parameters && body.parameters.retry_after
+  };
+};
+
+const buildAnnouncement = (doc, type, newEpisodes = []) => {
+  const heading = newEpisodes.length > 0
+    ? `🆕 New episode${newEpisodes.length > 1 ? 's' : ''} of ${doc.name}`
+    : `🆕 New ${type === 'movie' ? 'movie' : 'series'}: ${doc.name}${doc.year ? ` (${doc.year})` : ''}`;
+  const episodeLines = newEpisodes.slice(0, ANNOUNCEMENT_MAX_EPISODES)
+    .map(episode => `📹 S${episode.seasonNumber}E${episode.episodeNumber} · ${episode.title}`);
+  if (newEpisodes.length > ANNOUNCEMENT_MAX_EPISODES) {
+    episodeLines.push(`…and ${newEpisodes.length - ANNOUNCEMENT_MAX_EPISODES} more`);
+  }
+  const details = [doc.genres && doc.genres.join(', '), doc.runtime && `${doc.runtime} min`, doc.contentRating]
+    .filter(Boolean)
+    .join(' • ');
+  const linkParams = newEpisodes.length === 1
+    ? { series: doc._id, season: newEpisodes[0].seasonNumber, episode: newEpisodes[0].episodeNumber }
+    : { [type]: doc._id };
+  return {
+    text: [
+      heading,
+      episodeLines.length > 0 ? episodeLines.join('\n') : details,
+      newEpisodes.length === 0 && doc.description && `\n${doc.description.slice(0, 400)}`
+    ].filter(Boolean).join('\n'),
+    photo: /^https?:\/\//.test(doc.thumbnail || '') ? doc.thumbnail : undefined,
+    link: getFrontendLink(linkParams)
+  };
+};
+
+// Posts with the poster when there is one; a poster Telegram can't fetch falls back to text.
+const sendAnnouncement = async (chatId, message) => {
+  const reply_markup = { inline_keyboard: [[{ text: '▶️ Watch', url: message.link }]] };
+  if (message.photo) {
+    try {
+      await bot.sendPhoto(chatId, message.photo, { caption: message.text.slice(0, 1024), reply_markup });
+      return;
+    } catch (error) {
+      if (getTelegramError(error).statusCode !== 400) throw error;
+    }
+  }
+  await bot.sendMessage(chatId, message.text, { reply_markup, disable_web_page_preview: true });
+};
+
+// Queues the announcement for the channel and every chat subscribed to everything or to the
+// series. Never throws: a failed announcement must not fail the save that triggered it.
+const announceNewContent = async (doc, type, newEpisodes = []) => {
+  try {
+    const message = buildAnnouncement(doc, type, newEpisodes);
+    const subscriptions = await Subscription.find({
+      blocked: { $ne: true },
+      $or: [{ all: true }, ...(type === 'series' ? [{ seriesIds: doc._id }] : [])]
+    });
+    const deliveries = subscriptions.map(subscription => ({ chatId: String(subscription.chatId), kind: 'subscriber', message }));
+    if (ANNOUNCE_CHANNEL_ID) deliveries.push({ chatId: ANNOUNCE_CHANNEL_ID, kind: 'channel', message });
+    if (deliveries.length === 0) return;
+    await NotificationDelivery.insertMany(deliveries);
+    processDeliveryQueue();
+  } catch (error) {
+    console.error('❌ Error queueing announcement:', error);
+  }
+};
+
+const attemptDelivery = async (delivery) => {
+  try {
+    await sendAnnouncement(delivery.chatId, delivery.message);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+  } catch (error) {
+    const { statusCode, description, retryAfter } = getTelegramError(error);
+    delivery.error = description;
+    delivery.status = 'pending';
+    if (statusCode === 429) {
+      // Flood control: not the delivery's fault, so it doesn't count as an attempt.
+      broadcastPausedUntil = Date.now() + (retryAfter || 5) * 1000;
+      delivery.nextAttemptAt = new Date(broadcastPausedUntil);
+    } else if (statusCode === 403) {
+      // The bot was blocked or removed from the chat; stop sending there until it subscribes again.
+      delivery.status = 'blocked';
+      if (delivery.kind === 'subscriber') {
+        await Subscription.updateOne({ chatId: Number(delivery.chatId) }, { $set: { blocked: true, blockedAt: new Date() } });
+      }
+    } else {
+      delivery.attempts += 1;
+      if (delivery.attempts >= DELIVERY_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + 2 ** delivery.attempts * 60 * 1000);
+      }
+    }
+    console.warn(`⚠️ Delivery to ${delivery.chatId} ${delivery.status === 'pending' ? 'deferred' : delivery.status}: ${description}`);
+  }
+  await delivery.save();
+};
+
+const processDeliveryQueue = async () => {
+  if (broadcastRunning) return;
+  broadcastRunning = true;
+  try {
+    await NotificationDelivery.updateMany(
+      { status: 'sending', claimedAt: { $lt: new Date(Date.now() - DELIVERY_CLAIM_TIMEOUT_MS) } },
+      { $set: { status: 'pending' } }
+    );
+    while (Date.now() >= broadcastPausedUntil) {
+      const now = new Date();
+      const delivery = await NotificationDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', claimedAt: now } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+      await new Promise(resolve => setTimeout(resolve, 1000 / BROADCAST_RATE_PER_SECOND));
+    }
+  } catch (error) {
+    console.error('❌ Error processing notification queue:', error);
+  } finally {
+    broadcastRunning = false;
+  }
+  if (broadcastPausedUntil > Date.now() && !broadcastTimer) {
+    broadcastTimer = setTimeout(() => {
+      broadcastTimer = null;
+      processDeliveryQueue();
+    }, broadcastPausedUntil - Date.now());
+    broadcastTimer.unref();
+  }
+};
+
+// Picks up retries and anything left in the queue by a restart.
+setInterval(processDeliveryQueue, 60 * 1000).unref();
+
+const subscribeToSeries = async (chatId, userId, series) => {
+  await Subscription.updateOne(
+    { chatId },
+    { $addToSet: { seriesIds: series._id }, $set: { blocked: false }, $setOnInsert: { subscribedBy: userId } },
+    { upsert: true }
+  );
+  await bot.sendMessage(chatId, `🔔 You'll be notified about new episodes of "${series.name}". Use /unsubscribe ${series.name} to stop.`);
+};
+
+async function handleSubscribeCommand(chatId, text, userId) {
+  const command = getCommand(text);
+  const name = truncateUtf8(getCommandArgument(text), LIST_SEARCH_MAX_BYTES);
+  const subscription = await Subscription.findOne({ chatId });
+
+  if (!name) {
+    if (command === '/subscribe') {
+      await Subscription.updateOne(
+        { chatId },
+        { $set: { all: true, blocked: false }, $setOnInsert: { subscribedBy: userId } },
+        { upsert: true }
+      );
+      await bot.sendMessage(chatId, '🔔 Subscribed to all new movies, series and episodes. Use /unsubscribe to stop.');
+    } else {
+      await Subscription.deleteOne({ chatId });
+      await bot.sendMessage(chatId, subscription ? '🔕 Unsubscribed from all notifications.' : 'ℹ️ You have no subscriptions.');
+    }
+    return;
+  }
+
+  const matches = (await searchByName(Series, name)).sort((a, b) => b.rank - a.rank);
+  if (matches.length === 0) {
+    await bot.sendMessage(chatId, `📺 No series found for "${name}".`);
+    return;
+  }
+  if (matches.length > 1 && matches[0].rank <= matches[1].rank) {
+    await bot.sendMessage(chatId, `📺 Which series did you mean?`, {
+      reply_markup: {
+        inline_keyboard: matches.slice(0, CATALOGUE_RESULTS_LIMIT).map(({ doc }) => [{
+          text: doc.name,
+          callback_data: `${command === '/subscribe' ? 'subscribe' : 'unsubscribe'}_series_${doc._id}`
+        }])
+      }
+    });
+    return;
+  }
+  const series = matches[0].doc;
+  if (command === '/subscribe') {
+    await subscribeToSeries(chatId, userId, series);
+  } else {
+    await Subscription.updateOne({ chatId }, { $pull: { seriesIds: series._id } });
+    await bot.sendMessage(chatId, `🔕 Unsubscribed from "${series.name}".`);
+  }
+}
+
+// ================================================================
+// EXPRESS APP & MIDDLEWARE
+// ================================================================
+
+const app = express();
+app.set('trust proxy', TRUST_PROXY_HOPS || false);
+
+// FIX: Update CORS to explicitly allow the GitHub Pages frontend URL.
+// The wildcard '*' can sometimes be problematic with credentials,
+// so it's best to be explicit about the origins.
+const allowedOrigins = [
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'http://localhost:3001',
+  'http://127.0.0.1:3001',
+  'http://localhost:8080',
+  'http://127.0.0.1:8080',
+  KOYEB_URL, // Add the Koyeb frontend URL
+  'https://seeubot.github.io' // ✨ UPDATED: Added your GitHub Pages URL ✨
+];
+
+const corsOptions = {
+  origin: (origin, callback) => {
+    if (!origin) return callback(null, true);
+    if (allowedOrigins.indexOf(origin) === -1) {
+      const msg = `The CORS policy for this site does not allow access from the specified Origin.`;
+      return callback(new Error(msg), false);
+    }
+    return callback(null, true);
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining']
+};
+
+// The Stremio add-on (and the subtitle files its streams link to) is read-only and loaded by
+// Stremio's own apps (web.stremio.com and others), so it is open to every origin.
+const OPEN_CORS_PATHS = ['/stremio/', '/api/subtitles/'];
+
+app.use(cors((req, callback) => {
+  const isOpen = OPEN_CORS_PATHS.some(prefix => req.path.startsWith(prefix));
+  callback(null, isOpen ? { origin: '*', methods: ['GET'] } : corsOptions);
+}));
+
+// gzip or brotli, whichever the client accepts (small responses are sent as is).
+app.use(compression());
+
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  next();
+});
+
+app.use('/api', limitApiRequests);
+
+if (USE_WEBHOOK) {
+  app.post(WEBHOOK_PATH, (req, res) => {
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+  });
+}
+
+app.use(express.static(path.join(__dirname, 'public')));
+
+// ================================================================
+// BOT STATE MANAGEMENT & CONVERSATION FLOWS
+// ================================================================
+
+const userStates = new Map();
+const tempData = new Map();
+
+// userStates/tempData are the working copy for the update being handled, keyed by chat ID.
+// withSession() loads them from the session store before each update and writes them back
+// afterwards, so drafts survive restarts and are shared between instances when the Mongo store is
+// used. Private chats have one session; in groups every member has their own (userId is null in
+// private chats), and updates from one chat are handled one at a time so that members don't
+// overwrite each other's working copy.
+const getSessionKey = (chat, from) => ({
+  chatId: chat.id,
+  userId: chat.type === 'private' || !from ? null : from.id
+});
+
+const createMemorySessionStore = (ttlMs) => {
+  const sessions = new Map();
+  const toMapKey = ({ chatId, userId }) => `${chatId}:${userId ?? ''}`;
+  setInterval(() => {
+    const now = Date.now();
+    for (const [mapKey, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(mapKey);
+    }
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    async get(key) {
+      const session = sessions.get(toMapKey(key));
+      if (!session || session.expiresAt <= Date.now()) {
+        sessions.delete(toMapKey(key));
+        return null;
+      }
+      return JSON.parse(session.json);
+    },
+    async set(key, session) {
+      sessions.set(toMapKey(key), { json: JSON.stringify(session), expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      sessions.delete(toMapKey(key));
+    }
+  };
+};
+
+// Sessions saved before group members had their own have no userId, which matches userId: null.
+const createMongoSessionStore = (ttlMs) => ({
+  async get({ chatId, userId }) {
+    const session = await BotSession.findOne({ chatId, userId, expiresAt: { $gt: new Date() } }).lean();
+    return session ? { state: session.state, data: session.data } : null;
+  },
+  async set({ chatId, userId }, session) {
+    await BotSession.updateOne(
+      { chatId, userId },
+      { $set: { ...session, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  async delete({ chatId, userId }) {
+    await BotSession.deleteOne({ chatId, userId });
+  }
+});
+
+const sessionStore = SESSION_STORE === 'mongo'
+  ? createMongoSessionStore(SESSION_TTL_MS)
+  : createMemorySessionStore(SESSION_TTL_MS);
+
+const loadSession = async (key) => {
+  const session = await sessionStore.get(key);
+  userStates.delete(key.chatId);
+  tempData.delete(key.chatId);
+  if (session && session.state) userStates.set(key.chatId, session.state);
+  if (session && session.data) tempData.set(key.chatId, session.data);
+};
+
+const saveSession = async (key) => {
+  const state = userStates.get(key.chatId);
+  const data = tempData.get(key.chatId);
+  if (!state) {
+    await sessionStore.delete(key);
+    return;
+  }
+  // Round-trip through JSON so Mongoose subdocuments are stored as plain objects.
+  await sessionStore.set(key, { state, data: data ? JSON.parse(JSON.stringify(data)) : null });
+};
+
+// Tail of the queue of updates being handled per chat.
+const chatQueues = new Map();
+
+const withSession = (key, handler) => {
+  const run = (chatQueues.get(key.chatId) || Promise.resolve()).then(async () => {
+    try {
+      await loadSession(key);
+    } catch (error) {
+      console.error('❌ Error loading session:', error);
+    }
+    try {
+      await handler();
+    } finally {
+      await saveSession(key).catch(error => console.error('❌ Error saving session:', error));
+    }
+  });
+  const tail = run.catch(() => {});
+  chatQueues.set(key.chatId, tail);
+  tail.then(() => {
+    if (chatQueues.get(key.chatId) === tail) chatQueues.delete(key.chatId);
+  });
+  return run;
+};
+
+const RESUME_PROMPTS = {
+  adding_movie_name: () => '🎬 Enter the movie name:',
+  adding_movie_thumbnail: () => '📸 Enter the movie thumbnail URL (image):',
+  adding_movie_streaming_url: () => '🔗 Enter the streaming URL (.mp4, .m3u8, etc.):',
+  adding_series_name: () => '📺 Enter the series name:',
+  adding_series_thumbnail: () => '📸 Enter the series thumbnail URL (image):',
+  adding_season_number: () => '🔢 Enter season number:',
+  adding_season_number_for_existing_series: (data) => `📺 Adding to "${data.name}"\n\n🔢 Enter the new season number:`,
+  adding_episode_number: (data) => `📺 Season ${data.currentSeason.seasonNumber} - Enter episode number:`,
+  adding_episode_title: (data) => `📺 S${data.currentSeason.seasonNumber}E${data.currentEpisode.episodeNumber} - Enter episode title:`,
+  adding_episode_url: () => '🔗 Enter episode streaming URL:',
+  editing_movie_name: () => '✍️ Enter the new movie name:',
+  editing_movie_thumbnail: () => '📸 Enter the new movie thumbnail URL:',
+  editing_movie_streaming_url: () => '🔗 Enter the new streaming URL:',
+  editing_series_name: () => '✍️ Enter the new series name:',
+  editing_series_thumbnail: () => '📸 Enter the new series thumbnail URL:',
+  editing_movie_metadata: (data) => getMetadataPrompt(data.metadataField),
+  editing_series_metadata: (data) => getMetadataPrompt(data.metadataField),
+  editing_episode_title: () => '✍️ Enter the new episode title:',
+  editing_episode_streaming_url: () => '🔗 Enter the new streaming URL:',
+  editing_episode_thumbnail: () => '📸 Enter the new episode thumbnail URL:',
+  editing_episode_markers: () => EPISODE_MARKERS_PROMPT,
+  filling_episode_urls: (data) => getEpisodeUrlPrompt(data),
+  adding_source_url: () => '🔗 Enter the URL of the new source:',
+  adding_source_details: () => SOURCE_DETAILS_PROMPT,
+  adding_subtitle_language: () => SUBTITLE_LANGUAGE_PROMPT,
+  awaiting_subtitle_file: () => '💬 Send the .srt or .vtt subtitle file.',
+  searching_list: () => '🔎 Type a name to search for:',
+  searching_catalogue: () => '🔎 Type a title to search for:',
+  awaiting_restore_file: () => '📦 Send the backup .zip (or library .json) file to restore.'
+};
+
+const describeDraft = (data) => {
+  if (data.type === 'movie') {
+    return `🎬 Movie${data.name ? ` "${data.name}"` : ''}`;
+  }
+  if (data.type === 'series_episode_edit') {
+    return `✍️ Episode S${data.seasonNumber}E${data.episodeNumber}`;
+  }
+  if (data.type === 'search') {
+    return '🔎 Search';
+  }
+  if (data.type === 'restore') {
+    return `📦 Restore${data.fileName ? ` from ${data.fileName}` : ''}`;
+  }
+  if (data.type === 'import') {
+    return `📥 Import of ${data.import.items.length} ${data.import.kind}`;
+  }
+  const seasons = data.seasons || [];
+  const episodes = seasons.reduce((total, season) => total + (season.episodes ? season.episodes.length : 0), 0);
+  return `📺 Series${data.name ? ` "${data.name}"` : ''} — ${seasons.length} season(s), ${episodes} episode(s) so far`;
+};
+
+const getEpisodeAddedKeyboard = (data) => ({
+  reply_markup: {
+    inline_keyboard: [
+      [{ text: '➕ Add Another Episode', callback_data: 'add_another_episode' }],
+      [{ text: '🔢 Add New Season', callback_data: `add_new_season_to_series_${data.seriesId}` }],
+      [{ text: '✅ Finish Series', callback_data: 'finish_series' }]
+    ]
+  }
+});
+
+const sendResumePrompt = async (chatId, role) => {
+  const state = userStates.get(chatId);
+  const data = tempData.get(chatId) || {};
+  // In adding_episode_url the episode is already in the draft once its URL is set.
+  if (state === 'adding_episode_url' && data.currentEpisode && data.currentEpisode.streamingUrl) {
+    await bot.sendMessage(chatId, `▶️ Resuming ${describeDraft(data)}\n\nWhat would you like to do next?`, getEpisodeAddedKeyboard(data));
+    return;
+  }
+  if (state === 'choosing_metadata_match' && metadataProvider) {
+    await bot.sendMessage(chatId, `▶️ Resuming ${describeDraft(data)}`);
+    await sendMetadataMatches(chatId, data);
+    return;
+  }
+  const prompt = RESUME_PROMPTS[state];
+  if (!prompt) {
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+    await bot.sendMessage(chatId, '⚠️ That step can\'t be resumed. Please start it again from the menu.', getMainMenuKeyboard(role));
+    return;
+  }
+  await bot.sendMessage(chatId, `▶️ Resuming ${describeDraft(data)}\n\n${prompt(data)}`, { reply_markup: { remove_keyboard: true } });
+};
+
+// Simplified error handling to avoid restart loops
+bot.on('polling_error', (error) => {
+  console.error('❌ Telegram polling error:', error.code, error.message);
+});
+
+bot.on('webhook_error', (error) => {
+  console.error('❌ Telegram webhook error:', error);
+});
+
+// ================================================================
+// ROLES & PERMISSIONS
+// ================================================================
+
+const ROLE_RANKS = { viewer: 0, editor: 1, admin: 2 };
+
+// Menu buttons and commands that need more than the viewer role. Anything typed while
+// a conversation flow is in progress requires the editor role as well.
+const MESSAGE_PERMISSIONS = {
+  '🎬 Add Movie': 'editor',
+  '📺 Add Series': 'editor',
+  '✍️ Edit/Delete Movies': 'editor',
+  '🗑️ Edit/Delete Series': 'editor',
+  '/grant': 'admin',
+  '/revoke': 'admin',
+  '/start': 'viewer',
+  '/roles': 'admin',
+  '/apikey': 'admin',
+  '/backup': 'admin',
+  '/restore': 'admin',
+  '/trash': 'admin',
+  '/links': 'admin',
+  '/history': 'editor',
+  '🔎 Search': 'viewer',
+  '🆕 Latest': 'viewer',
+  '🎬 Movies': 'viewer',
+  '📺 Series': 'viewer',
+  '/search': 'viewer',
+  '/latest': 'viewer',
+  '/movies': 'viewer',
+  '/series': 'viewer',
+  '/subscribe': 'viewer',
+  '/unsubscribe': 'viewer'
+};
+
+const hasRole = (role, requiredRole) => (ROLE_RANKS[role] ?? -1) >= ROLE_RANKS[requiredRole];
+
+async function seedAdmins() {
+  for (const telegramId of ADMIN_IDS) {
+    await BotUser.updateOne({ telegramId }, { $set: { role: 'admin' } }, { upsert: true });
+  }
+  if (ADMIN_IDS.length > 0) {
+    console.log(`👑 Seeded ${ADMIN_IDS.length} admin(s) from ADMIN_IDS`);
+  }
+}
+
+const getUserRole = async (userId) => {
+  if (ADMIN_IDS.includes(userId)) return 'admin';
+  const botUser = await BotUser.findOne({ telegramId: userId });
+  return botUser ? botUser.role : DEFAULT_BOT_ROLE;
+};
+
+// ADMIN_IDS plus everyone granted the admin role with /grant.
+const getAdminIds = async () => {
+  const botAdmins = await BotUser.find({ role: 'admin' }, 'telegramId').lean();
+  return [...new Set([...ADMIN_IDS, ...botAdmins.map(botUser => botUser.telegramId)])];
+};
+
+// In groups commands arrive as "/command@botname".
+const getCommand = (text) => (text || '').trim().split(/\s+/)[0].replace(/@\w+$/, '');
+
+// Conversation states a viewer can be in: searching the catalogue or a viewer list.
+const isViewerState = (chatId) => {
+  const state = userStates.get(chatId);
+  const data = tempData.get(chatId);
+  if (state === 'searching_catalogue') return true;
+  return state === 'searching_list' && Boolean(data && BOT_LISTS[data.searchList] && BOT_LISTS[data.searchList].role === 'viewer');
+};
+
+const getRequiredRoleForMessage = (chatId, msg) => {
+  if (msg.document) {
+    return userStates.get(chatId) === 'awaiting_restore_file' ? 'admin' : 'editor';
+  }
+  return MESSAGE_PERMISSIONS[msg.text] || MESSAGE_PERMISSIONS[getCommand(msg.text)] ||
+    (userStates.has(chatId) && !isViewerState(chatId) ? 'editor' : 'viewer');
+};
+
+const getRequiredRoleForCallback = (data) => {
+  if (data === 'cancel' || data === 'noop') return 'viewer';
+  if (['watch_', 'subscribe_', 'unsubscribe_', 'playlist_'].some(prefix => data.startsWith(prefix))) return 'viewer';
+  // Paging and searching a list needs the list's role (editor unless the list says otherwise).
+  const listAction = data.match(/^(?:page|search|clearsearch)_([a-z]+)/);
+  if (listAction && BOT_LISTS[listAction[1]]) return BOT_LISTS[listAction[1]].role || 'editor';
+  // Removing a source can't be undone from the trash, so it is treated like a delete.
+  if (['delete_', 'restore_', 'undo_', 'trash_', 'sources_remove_'].some(prefix => data.startsWith(prefix))) return 'admin';
+  return 'editor';
+};
+
+const getPermissionDeniedText = (requiredRole, userId) =>
+  `⛔ You need the ${requiredRole} role to do that.\n\nAsk an admin to grant access to your Telegram ID: ${userId}`;
+
+async function handleRoleCommand(chatId, text, userId) {
+  const [command, targetArg, roleArg] = text.trim().split(/\s+/);
+
+  if (command === '/roles') {
+    const botUsers = await BotUser.find().sort({ role: 1, telegramId: 1 });
+    const lines = botUsers.map(u => `• ${u.telegramId} — ${u.role}${ADMIN_IDS.includes(u.telegramId) ? ' (ADMIN_IDS)' : ''}`);
+    await bot.sendMessage(chatId,
+      `👥 Bot roles (default for everyone else: ${DEFAULT_BOT_ROLE})\n\n` +
+      (lines.length > 0 ? lines.join('\n') : 'No roles assigned yet.')
+    );
+    return;
+  }
+
+  const targetId = parseInt(targetArg);
+  if (isNaN(targetId)) {
+    await bot.sendMessage(chatId, command === '/grant'
+      ? '⚠️ Usage: /grant <telegram_id> <admin|editor|viewer>'
+      : '⚠️ Usage: /revoke <telegram_id>');
+    return;
+  }
+  if (ADMIN_IDS.includes(targetId)) {
+    await bot.sendMessage(chatId, `⚠️ ${targetId} is configured in ADMIN_IDS and always stays an admin.`);
+    return;
+  }
+
+  if (command === '/grant') {
+    const role = (roleArg || '').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(ROLE_RANKS, role)) {
+      await bot.sendMessage(chatId, '⚠️ Role must be one of: admin, editor, viewer');
+      return;
+    }
+    await BotUser.updateOne(
+      { telegramId: targetId },
+      { $set: { role, grantedBy: userId, grantedAt: new Date() } },
+      { upsert: true }
+    );
+    await bot.sendMessage(chatId, `✅ ${targetId} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+  } else {
+    if (targetId === userId) {
+      await bot.sendMessage(chatId, '⚠️ You cannot revoke your own role.');
+      return;
+    }
+    const result = await BotUser.deleteOne({ telegramId: targetId });
+    if (result.deletedCount > 0) {
+      await bot.sendMessage(chatId, `✅ Role revoked. ${targetId} is back to ${DEFAULT_BOT_ROLE}.`);
+    } else {
+      await bot.sendMessage(chatId, `ℹ️ ${targetId} has no assigned role.`);
+    }
+  }
+}
+
+async function handleHistoryCommand(chatId, text) {
+  const title = text.trim().split(/\s+/).slice(1).join(' ');
+  if (!title) {
+    await bot.sendMessage(chatId, '⚠️ Usage: /history <title>');
+    return;
+  }
+  const entries = await AuditLog.find(await buildAuditTitleFilter(title))
+    .sort({ createdAt: -1 })
+    .limit(AUDIT_HISTORY_LIMIT);
+  if (entries.length === 0) {
+    await bot.sendMessage(chatId, `🕒 No history found for "${title}".`);
+    return;
+  }
+  const message = `🕒 Latest changes matching "${title}":\n\n${entries.map(formatAuditEntry).join('\n\n')}`;
+  await bot.sendMessage(chatId, message.length > 4000 ? `${message.slice(0, 3997)}...` : message);
+}
+
+async function handleApiKeyCommand(chatId, text, userId) {
+  const [, action, ...rest] = text.trim().split(/\s+/);
+
+  if (action === 'create') {
+    const name = rest.join(' ');
+    if (!name) {
+      await bot.sendMessage(chatId, '⚠️ Usage: /apikey create <name>');
+      return;
+    }
+    const key = generateApiKey();
+    await ApiKey.create({
+      name,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      createdBy: userId
+    });
+    await bot.sendMessage(chatId,
+      `🔑 API key "${name}" created:\n\n${key}\n\n` +
+      'Store it now, it will not be shown again. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".'
+    );
+  } else if (action === 'list') {
+    const apiKeys = await ApiKey.find({ revokedAt: null }).sort({ createdAt: -1 });
+    const lines = apiKeys.map(k =>
+      `• ${k.prefix}… — ${k.name} (last used: ${k.lastUsedAt ? k.lastUsedAt.toISOString() : 'never'})`
+    );
+    await bot.sendMessage(chatId, lines.length > 0 ? `🔑 Active API keys:\n\n${lines.join('\n')}` : '🔑 No active API keys.');
+  } else if (action === 'revoke') {
+    const prefix = rest[0];
+    if (!prefix) {
+      await bot.sendMessage(chatId, '⚠️ Usage: /apikey revoke <key prefix>');
+      return;
+    }
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { prefix: prefix.replace(/…$/, ''), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    // Otherwise the rate limiter would keep treating the revoked key as verified.
+    if (apiKey) verifiedApiKeyHashes.delete(apiKey.keyHash);
+    await bot.sendMessage(chatId, apiKey ? `✅ API key "${apiKey.name}" revoked.` : '❌ No active API key with that prefix.');
+  } else {
+    await bot.sendMessage(chatId, '⚠️ Usage: /apikey create <name> | /apikey list | /apikey revoke <key prefix>');
+  }
+}
+
+const getMainMenuKeyboard = (role) => ({
+  reply_markup: {
+    keyboard: hasRole(role, 'editor') ? [
+      ['🎬 Add Movie', '📺 Add Series'],
+      ['✍️ Edit/Delete Movies', '🗑️ Edit/Delete Series'],
+      ['🌐 Frontend URL', '📊 Library Stats']
+    ] : [
+      ['🔎 Search', '🆕 Latest'],
+      ['🎬 Movies', '📺 Series'],
+      ['🌐 Frontend URL', '📊 Library Stats']
+    ],
+    resize_keyboard: true,
+    one_time_keyboard: false
+  }
+});
+
+const findEpisodeForEdit = (series, { seasonNumber, episodeNumber }) => {
+  const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+  const episode = season && season.episodes.find(e => e.episodeNumber === episodeNumber);
+  if (!episode) throw new Error(`Episode S${seasonNumber}E${episodeNumber} not found`);
+  return episode;
+};
+
+const EPISODE_MARKERS_PROMPT =
+  '⏭️ Send the intro as start-end and, optionally, when the credits start, e.g. "0:45-1:30 41:10".\n\n' +
+  'Use - for a part you want to leave out (e.g. "- 41:10"), or send just - to clear both.';
+
+const describeEpisodeMarkers = (episode) => [
+  `⏭️ Intro: ${episode.introEnd !== undefined && episode.introEnd !== null
+    ? `${formatTimestamp(episode.introStart)}–${formatTimestamp(episode.introEnd)}`
+    : 'not set'}`,
+  `🎬 Credits: ${episode.creditsStart !== undefined && episode.creditsStart !== null ? `from ${formatTimestamp(episode.creditsStart)}` : 'not set'}`
+].join('\n');
+
+const getMetadataPrompt = (field) =>
+  `${METADATA_FIELDS[field].icon} ${METADATA_FIELDS[field].prompt}\n\nSend - to clear it.`;
+
+const getMetadataKeyboardRows = (kind) => {
+  const buttons = Object.entries(METADATA_FIELDS).map(([field, { icon, label }]) => ({
+    text: `${icon} ${label}`,
+    callback_data: `edit_field_${kind}_${field}`
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return rows;
+};
+
+const formatMetadataSummary = (doc) => {
+  const lines = Object.entries(METADATA_FIELDS)
+    .filter(([field]) => doc[field] !== undefined && doc[field] !== null && String(doc[field]) !== '')
+    .map(([field, { icon, label }]) => {
+      const value = Array.isArray(doc[field]) ? doc[field].join(', ') : String(doc[field]);
+      return `${icon} ${label}: ${escapeMarkdown(value.length > 80 ? `${value.slice(0, 77)}...` : value)}`;
+    });
+  return lines.length > 0 ? `${lines.join('\n')}\n\n` : '';
+};
+
+// Helper function to extract IDs safely
+const extractId = (data, prefix) => {
+  if (data.startsWith(prefix)) {
+    return data.substring(prefix.length);
+  }
+  return null;
+};
+
+// ================================================================
+// PAGINATED LISTS
+// ================================================================
+
+const LIST_PAGE_SIZE = 10;
+// Search text is carried in page_ callback data, which Telegram caps at 64 bytes.
+const LIST_SEARCH_MAX_BYTES = 40;
+
+// Inline-keyboard lists the bot can page through. List keys must not contain underscores
+// because they are embedded in callback data.
+const BOT_LISTS = {
+  movies: {
+    model: Movie,
+    title: '🎬 *Select a movie to edit or delete:*',
+    emptyText: '📽️ No movies found! Add some first.',
+    buildRow: (movie, role) => [
+      { text: `✍️ ${movie.name}`, callback_data: `edit_movie_${movie._id}` },
+      ...(hasRole(role, 'admin') ? [{ text: `🗑️ ${movie.name}`, callback_data: `delete_movie_${movie._id}` }] : [])
+    ]
+  },
+  series: {
+    model: Series,
+    title: '📺 *Select a series to edit or delete:*',
+    emptyText: '📺 No series found! Add some first.',
+    buildRow: (series, role) => [
+      { text: `✍️ ${series.name}`, callback_data: `edit_series_${series._id}` },
+      ...(hasRole(role, 'admin') ? [{ text: `🗑️ ${series.name}`, callback_data: `delete_series_${series._id}` }] : [])
+    ]
+  },
+  addseries: {
+    model: Series,
+    title: '📺 Choose a series to add seasons/episodes to, or create a new one:',
+    emptyText: '📺 No series found! Add some first.',
+    buildRow: (series) => [{ text: series.name, callback_data: `add_new_season_to_series_${series._id}` }],
+    footer: [[{ text: '➕ Create New Series', callback_data: 'create_new_series' }]]
+  },
+  watchmovies: {
+    model: Movie,
+    role: 'viewer',
+    title: '🎬 *Movies:*',
+    emptyText: '📽️ No movies yet.',
+    buildRow: (movie) => [getCatalogueButton({ doc: movie, type: 'movie' })]
+  },
+  watchseries: {
+    model: Series,
+    role: 'viewer',
+    title: '📺 *Series:*',
+    emptyText: '📺 No series yet.',
+    buildRow: (series) => [getCatalogueButton({ doc: series, type: 'series' })]
+  },
+  importseries: {
+    model: Series,
+    title: '📥 Which series should the imported episodes be added to?',
+    emptyText: '📺 No series found! Create the series first, then send the file again.',
+    buildRow: (series) => [{ text: series.name, callback_data: `import_series_${series._id}` }],
+    footer: [[{ text: '❌ Cancel', callback_data: 'cancel' }]]
+  }
+};
+
+const escapeMarkdown = (value) => String(value).replace(/([_*`\[])/g, '\\$1');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const truncateUtf8 = (value, maxBytes) => {
+  let result = value;
+  while (Buffer.byteLength(result) > maxBytes) result = result.slice(0, -1);
+  return result;
+};
+
+// Uses the text index on name first and falls back to a substring match, since $text only
+// matches whole words.
+const fetchListPage = async (list, page, search) => {
+  const { model } = BOT_LISTS[list];
+  let filter = search ? { $text: { $search: search } } : {};
+  let total = await model.countDocuments(filter);
+  if (search && total === 0) {
+    filter = { name: { $regex: escapeRegex(search), $options: 'i' } };
+    total = await model.countDocuments(filter);
+  }
+  const pages = Math.max(1, Math.ceil(total / LIST_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page || 1, 1), pages);
+  const useTextScore = Boolean(filter.$text);
+  const items = await model.find(filter, useTextScore ? { score: { $meta: 'textScore' } } : 'name')
+    .sort(useTextScore ? { score: { $meta: 'textScore' } } : { addedAt: -1 })
+    .skip((currentPage - 1) * LIST_PAGE_SIZE)
+    .limit(LIST_PAGE_SIZE);
+  return { items, total, page: currentPage, pages };
+};
+
+const buildListKeyboard = (list, { items, page, pages }, search, role) => {
+  const { buildRow, footer = [] } = BOT_LISTS[list];
+  const suffix = search ? `_${search}` : '';
+  const keyboard = items.map(item => buildRow(item, role));
+  if (pages > 1) {
+    const navRow = [];
+    if (page > 1) navRow.push({ text: '◀️ Prev', callback_data: `page_${list}_${page - 1}${suffix}` });
+    navRow.push({ text: `${page}/${pages}`, callback_data: 'noop' });
+    if (page < pages) navRow.push({ text: 'Next ▶️', callback_data: `page_${list}_${page + 1}${suffix}` });
+    keyboard.push(navRow);
+  }
+  keyboard.push(search
+    ? [{ text: '🔎 New Search', callback_data: `search_${list}` }, { text: '✖️ Clear Search', callback_data: `clearsearch_${list}` }]
+    : [{ text: '🔎 Search', callback_data: `search_${list}` }]);
+  return [...keyboard, ...footer];
+};
+
+const getListText = (list, search, total) => {
+  const { title } = BOT_LISTS[list];
+  if (!search) return title;
+  return `🔎 ${total} result(s) for "${escapeMarkdown(search)}"\n\n${title}`;
+};
+
+const sendListPage = async (chatId, list, page, search, role) => {
+  const result = await fetchListPage(list, page, search);
+  if (result.total === 0 && !search) {
+    await bot.sendMessage(chatId, BOT_LISTS[list].emptyText, getMainMenuKeyboard(role));
+    return;
+  }
+  await bot.sendMessage(chatId, getListText(list, search, result.total), {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildListKeyboard(list, result, search, role) }
+  });
+};
+
+const ignoreNotModified = (error) => {
+  if (!/message is not modified/.test(error.message)) throw error;
+};
+
+const editListPage = async (msg, list, page, search, role) => {
+  const result = await fetchListPage(list, page, search);
+  await bot.editMessageReplyMarkup(
+    { inline_keyboard: buildListKeyboard(list, result, search, role) },
+    { chat_id: msg.chat.id, message_id: msg.message_id }
+  ).catch(ignoreNotModified);
+};
+
+const clearListSearch = async (msg, list, role) => {
+  const result = await fetchListPage(list, 1, '');
+  await bot.editMessageText(getListText(list, '', result.total), {
+    chat_id: msg.chat.id,
+    message_id: msg.message_id,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildListKeyboard(list, result, '', role) }
+  }).catch(ignoreNotModified);
+};
+
+// ================================================================
+// CATALOGUE BROWSING
+// ================================================================
+
+// Read-only views for viewers (/search, /latest, /series, /movies). Every view ends in a ▶️ Watch
+// link into the web frontend.
+const CATALOGUE_RESULTS_LIMIT = 10;
+
+const getLatestTitles = async (limit) => {
+  const [movies, series] = await Promise.all([
+    Movie.find().sort({ addedAt: -1 }).limit(limit).lean(),
+    Series.find().sort({ addedAt: -1 }).limit(limit).lean()
+  ]);
+  return [...movies.map(doc => ({ doc, type: 'movie' })), ...series.map(doc => ({ doc, type: 'series' }))]
+    .sort((a, b) => b.doc.addedAt - a.doc.addedAt)
+    .slice(0, limit);
+};
+
+const getCommandArgument = (text) => (text || '').trim().split(/\s+/).slice(1).join(' ');
+
+const getCatalogueButton = ({ doc, type }) => ({
+  text: `${type === 'movie' ? '🎬' : '📺'} ${doc.name}${doc.year ? ` (${doc.year})` : ''}`,
+  callback_data: `watch_${type}_${doc._id}`
+});
+
+const formatCatalogueCard = (item, icon, extraLines = []) => [
+  `${icon} ${item.name}${item.year ? ` (${item.year})` : ''}`,
+  [item.genres && item.genres.join(', '), item.runtime && `${item.runtime} min`, item.contentRating, item.language]
+    .filter(Boolean)
+    .join(' • '),
+  item.description && `\n${item.description.slice(0, 600)}`,
+  ...extraLines
+].filter(Boolean).join('\n');
+
+// Sends a new message, or edits `msg` in place when navigating within a series card.
+const sendCatalogueView = async (chatId, text, keyboard, msg) => {
+  const options = { disable_web_page_preview: true, reply_markup: { inline_keyboard: keyboard } };
+  if (msg) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: msg.message_id, ...options }).catch(ignoreNotModified);
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+};
+
+const sendCatalogueResults = async (chatId, heading, matches, emptyText) => {
+  if (matches.length === 0) {
+    await bot.sendMessage(chatId, emptyText);
+    return;
+  }
+  await bot.sendMessage(chatId, heading, {
+    reply_markup: { inline_keyboard: matches.slice(0, CATALOGUE_RESULTS_LIMIT).map(match => [getCatalogueButton(match)]) }
+  });
+};
+
+const sendCatalogueSearch = async (chatId, query) => {
+  const matches = await searchLibraryByName(query);
+  await sendCatalogueResults(chatId,
+    `🔎 ${matches.length} result(s) for "${query}"` +
+      (matches.length > CATALOGUE_RESULTS_LIMIT ? `, showing the best ${CATALOGUE_RESULTS_LIMIT}:` : ':'),
+    matches,
+    `🔎 Nothing found for "${query}".`
+  );
+};
+
+// A close enough name opens the series straight away; otherwise the matches are listed.
+const sendCatalogueSeriesSearch = async (chatId, name) => {
+  const matches = (await searchByName(Series, name))
+    .sort((a, b) => b.rank - a.rank)
+    .map(match => ({ ...match, type: 'series' }));
+  if (matches.length === 1 || (matches.length > 1 && matches[0].rank > matches[1].rank && matches[0].rank >= 3)) {
+    await showCatalogueSeries(chatId, matches[0].doc._id);
+    return;
+  }
+  await sendCatalogueResults(chatId, `📺 Series matching "${name}":`, matches, `📺 No series found for "${name}".`);
+};
+
+const showCatalogueMovie = async (chatId, movieId) => {
+  const movie = mongoose.isValidObjectId(movieId) && await Movie.findById(movieId).lean();
+  if (!movie) {
+    await bot.sendMessage(chatId, '❌ Movie not found.');
+    return;
+  }
+  await sendCatalogueView(chatId, formatCatalogueCard(movie, '🎬'), [
+    [{ text: '▶️ Watch', url: getFrontendLink({ movie: movie._id }) }]
+  ]);
+};
+
+const loadCatalogueSeries = async (chatId, seriesId) => {
+  const series = mongoose.isValidObjectId(seriesId) && await Series.findById(seriesId).lean();
+  if (!series) await bot.sendMessage(chatId, '❌ Series not found.');
+  return series;
+};
+
+const showCatalogueSeries = async (chatId, seriesId, msg) => {
+  const series = await loadCatalogueSeries(chatId, seriesId);
+  if (!series) return;
+  const episodeCount = series.seasons.reduce((total, season) => total + season.episodes.length, 0);
+  const seasonButtons = [...series.seasons]
+    .sort((a, b) => a.seasonNumber - b.seasonNumber)
+    .map(season => ({ text: `Season ${season.seasonNumber}`, callback_data: `watch_season_${series._id}_${season.seasonNumber}` }));
+  const keyboard = [];
+  for (let i = 0; i < seasonButtons.length; i += 3) keyboard.push(seasonButtons.slice(i, i + 3));
+  keyboard.push([
+    { text: '▶️ Watch', url: getFrontendLink({ series: series._id }) },
+    { text: '🔔 Notify me', callback_data: `subscribe_series_${series._id}` }
+  ]);
+  keyboard.push([{ text: '📥 Get playlist', callback_data: `playlist_series_${series._id}` }]);
+  await sendCatalogueView(chatId,
+    formatCatalogueCard(series, '📺', [`\n${series.seasons.length} season(s) · ${episodeCount} episode(s)`]),
+    keyboard,
+    msg
+  );
+};
+
+const showCatalogueSeason = async (chatId, seriesId, seasonNumber, msg) => {
+  const series = await loadCatalogueSeries(chatId, seriesId);
+  const season = series && series.seasons.find(s => s.seasonNumber === seasonNumber);
+  if (!season) {
+    if (series) await bot.sendMessage(chatId, '❌ Season not found.');
+    return;
+  }
+  const episodes = [...season.episodes].sort((a, b) => a.episodeNumber - b.episodeNumber);
+  await sendCatalogueView(chatId,
+    `📺 ${series.name} — Season ${seasonNumber}\n\n${episodes.length > 0 ? 'Pick an episode:' : 'No episodes yet.'}`,
+    [
+      ...episodes.map(episode => [{
+        text: `E${episode.episodeNumber} · ${episode.title}`,
+        callback_data: `watch_episode_${series._id}_${seasonNumber}_${episode.episodeNumber}`
+      }]),
+      [{ text: '⬅️ Seasons', callback_data: `watch_seasons_${series._id}` }]
+    ],
+    msg
+  );
+};
+
+const showCatalogueEpisode = async (chatId, seriesId, seasonNumber, episodeNumber, msg) => {
+  const series = await loadCatalogueSeries(chatId, seriesId);
+  const season = series && series.seasons.find(s => s.seasonNumber === seasonNumber);
+  const episodes = season ? [...season.episodes].sort((a, b) => a.episodeNumber - b.episodeNumber) : [];
+  const index = episodes.findIndex(e => e.episodeNumber === episodeNumber);
+  if (index === -1) {
+    if (series) await bot.sendMessage(chatId, '❌ Episode not found.');
+    return;
+  }
+  const episode = episodes[index];
+  const getEpisodeCallback = (other) => `watch_episode_${series._id}_${seasonNumber}_${other.episodeNumber}`;
+  const navRow = [
+    ...(index > 0 ? [{ text: `⬅️ E${episodes[index - 1].episodeNumber}`, callback_data: getEpisodeCallback(episodes[index - 1]) }] : []),
+    ...(index < episodes.length - 1 ? [{ text: `E${episodes[index + 1].episodeNumber} ➡️`, callback_data: getEpisodeCallback(episodes[index + 1]) }] : [])
+  ];
+  await sendCatalogueView(chatId,
+    `📺 ${series.name}\nS${seasonNumber}E${episodeNumber} · ${episode.title}`,
+    [
+      [{ text: '▶️ Watch', url: getFrontendLink({ series: series._id, season: seasonNumber, episode: episodeNumber }) }],
+      ...(navRow.length > 0 ? [navRow] : []),
+      [{ text: `⬅️ Season ${seasonNumber}`, callback_data: `watch_season_${series._id}_${seasonNumber}` }]
+    ],
+    msg
+  );
+};
+
+const handleMessage = async (msg) => {
+  const chatId = msg.chat.id;
+  const text = msg.text;
+  const userId = msg.from.id;
+
+  console.log(`📱 Message from ${userId}: ${text}`);
+
+  let role = DEFAULT_BOT_ROLE;
+  try {
+    role = await getUserRole(userId);
+    const requiredRole = getRequiredRoleForMessage(chatId, msg);
+    if (!hasRole(role, requiredRole)) {
+      userStates.delete(chatId);
+      tempData.delete(chatId);
+      await bot.sendMessage(chatId, getPermissionDeniedText(requiredRole, userId), getMainMenuKeyboard(role));
+      return;
+    }
+
+    if (msg.document && userStates.get(chatId) === 'awaiting_restore_file') {
+      await handleRestoreDocument(chatId, msg.document, userId);
+    } else if (msg.document && userStates.get(chatId) === 'awaiting_subtitle_file') {
+      await handleSubtitleDocument(chatId, msg.document, userId, role);
+    } else if (msg.document) {
+      await handleImportDocument(chatId, msg.document, role);
+    } else if (text === '/backup') {
+      await bot.sendMessage(chatId, '📦 Preparing backup...');
+      const { buffer, fileName, library } = await createLibraryArchive();
+      await bot.sendDocument(chatId, buffer, {
+        caption: `📦 Library backup (format v${library.version})\n` +
+          `🎬 ${library.counts.movies} movies · 📺 ${library.counts.series} series · 📹 ${library.counts.episodes} episodes · 💬 ${library.counts.subtitles} subtitles`
+      }, { filename: fileName, contentType: 'application/zip' });
+    } else if (text === '/trash') {
+      const [items, total] = await Promise.all([
+        TrashItem.find().sort({ deletedAt: -1 }).limit(20),
+        TrashItem.countDocuments()
+      ]);
+      if (items.length === 0) {
+        await bot.sendMessage(chatId, '🗑️ The trash is empty.', getMainMenuKeyboard(role));
+      } else {
+        await bot.sendMessage(chatId,
+          `🗑️ Trash: ${total} item(s), kept for ${TRASH_RETENTION_DAYS} days.` +
+          (total > items.length ? ` Showing the ${items.length} most recent.` : '') +
+          '\n\nTap an item to restore it:',
+          {
+            reply_markup: {
+              inline_keyboard: items.map(item => [{
+                text: `↩️ ${item.label} (${item.deletedAt.toISOString().slice(0, 10)})`,
+                callback_data: `trash_restore_${item._id}`
+              }])
+            }
+          }
+        );
+      }
+    } else if (text === '/links') {
+      const links = await getBrokenLinks();
+      const lastRun = lastLinkCheck
+        ? `Last check: ${lastLinkCheck.finishedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        : 'No check has finished since the last restart.';
+      if (links.length === 0) {
+        await bot.sendMessage(chatId, `🩺 No broken links found.\n${lastRun}`, getMainMenuKeyboard(role));
+      } else {
+        await sendBrokenLinksReport(chatId, links, `🩺 ${links.length} broken link(s). ${lastRun}`);
+      }
+    } else if (text === '/restore') {
+      userStates.set(chatId, 'awaiting_restore_file');
+      tempData.set(chatId, { type: 'restore' });
+      await bot.sendMessage(chatId, RESUME_PROMPTS.awaiting_restore_file(), { reply_markup: { remove_keyboard: true } });
+    } else if (text === '/start') {
+      const hasDraft = userStates.has(chatId) && hasRole(role, 'editor');
+      if (!hasDraft) {
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+      }
+      await bot.sendMessage(chatId,
+        '🎭 *Welcome to Media Manager Bot!*\n\n' +
+        (hasRole(role, 'editor')
+          ? '🎬 Add and manage your movies\n📺 Create and organize TV series\n'
+          : '🔎 /search for a title, see what\'s new with /latest\n📺 Browse a show with /series <name>\n') +
+        '🌐 Access your media library via web frontend\n\n' +
+        'Choose an option below:',
+        { ...getMainMenuKeyboard(role), parse_mode: 'Markdown' }
+      );
+      if (hasDraft) {
+        await bot.sendMessage(chatId,
+          `📝 You have an unfinished draft:\n${describeDraft(tempData.get(chatId) || {})}\n\nPick up where you left off?`,
+          {
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: '▶️ Resume', callback_data: 'resume_session' }],
+                [{ text: '🗑️ Discard', callback_data: 'discard_session' }]
+              ]
+            }
+          }
+        );
+      }
+    } else if (['/grant', '/revoke', '/roles'].includes(getCommand(text))) {
+      await handleRoleCommand(chatId, text, userId);
+    } else if (getCommand(text) === '/history') {
+      await handleHistoryCommand(chatId, text);
+    } else if (getCommand(text) === '/apikey') {
+      await handleApiKeyCommand(chatId, text, userId);
+    } else if (text === '🔎 Search' || getCommand(text) === '/search') {
+      const query = getCommand(text) === '/search' ? truncateUtf8(getCommandArgument(text), LIST_SEARCH_MAX_BYTES) : '';
+      if (query) {
+        await sendCatalogueSearch(chatId, query);
+      } else {
+        tempData.set(chatId, { type: 'search', ...tempData.get(chatId), searchReturnState: userStates.get(chatId) || null });
+        userStates.set(chatId, 'searching_catalogue');
+        // In groups the bot only sees replies to its own messages, so ask for one.
+        await bot.sendMessage(chatId, RESUME_PROMPTS.searching_catalogue(),
+          msg.chat.type === 'private' ? {} : { reply_markup: { force_reply: true } });
+      }
+    } else if (text === '🆕 Latest' || getCommand(text) === '/latest') {
+      await sendCatalogueResults(chatId, '🆕 Recently added:', await getLatestTitles(CATALOGUE_RESULTS_LIMIT), '📭 The library is empty.');
+    } else if (text === '🎬 Movies' || getCommand(text) === '/movies') {
+      await sendListPage(chatId, 'watchmovies', 1, '', role);
+    } else if (text === '📺 Series' || getCommand(text) === '/series') {
+      const name = getCommand(text) === '/series' ? truncateUtf8(getCommandArgument(text), LIST_SEARCH_MAX_BYTES) : '';
+      if (name) {
+        await sendCatalogueSeriesSearch(chatId, name);
+      } else {
+        await sendListPage(chatId, 'watchseries', 1, '', role);
+      }
+    } else if (['/subscribe', '/unsubscribe'].includes(getCommand(text))) {
+      await handleSubscribeCommand(chatId, text, userId);
+    } else if (text === '🎬 Add Movie') {
+      userStates.set(chatId, 'adding_movie_name');
+      tempData.set(chatId, { type: 'movie' });
+      await bot.sendMessage(chatId, '🎬 Enter the movie name:', { reply_markup: { remove_keyboard: true } });
+    } else if (text === '📺 Add Series') {
+      if (await Series.countDocuments() > 0) {
+        await sendListPage(chatId, 'addseries', 1, '', role);
+      } else {
+        userStates.set(chatId, 'adding_series_name');
+        tempData.set(chatId, { type: 'series' });
+        await bot.sendMessage(chatId, '📺 Enter the series name:', { reply_markup: { remove_keyboard: true } });
+      }
+    } else if (text === '✍️ Edit/Delete Movies') {
+      await sendListPage(chatId, 'movies', 1, '', role);
+    } else if (text === '🗑️ Edit/Delete Series') {
+      await sendListPage(chatId, 'series', 1, '', role);
+    } else if (text === '🌐 Frontend URL') {
+      await bot.sendMessage(chatId,
+        `🌐 *Web Frontend:*\n${FRONTEND_URL}\n\n` +
+        `📱 *API Server:* ${KOYEB_URL}/api\n\n` +
+        '🎬 Open the frontend URL to watch your movies and series!\n\n' +
+        '✨ Your media library awaits!',
+        { parse_mode: 'Markdown', ...getMainMenuKeyboard(role) }
+      );
+    } else if (text === '📊 Library Stats') {
+      const movieCount = await Movie.countDocuments();
+      const seriesCount = await Series.countDocuments();
+      const totalEpisodes = await Series.aggregate([
+        { $unwind: '$seasons' },
+        { $unwind: '$seasons.episodes' },
+        { $count: 'totalEpisodes' }
+      ]);
+      const episodeCount = totalEpisodes[0]?.totalEpisodes || 0;
+
+      await bot.sendMessage(chatId,
+        `📊 *Library Statistics:*\n\n` +
+        `🎬 Movies: ${movieCount}\n` +
+        `📺 TV Series: ${seriesCount}\n` +
+        `📹 Total Episodes: ${episodeCount}\n` +
+        `🎭 Total Items: ${movieCount + seriesCount}`,
+        { parse_mode: 'Markdown', ...getMainMenuKeyboard(role) }
+      );
+    } else {
+      await handleConversationFlow(chatId, text, userId, role);
+    }
+  } catch (error) {
+    console.error('❌ Error handling message:', error);
+    await bot.sendMessage(chatId, '❌ An error occurred. Please try again or use /start to restart.', getMainMenuKeyboard(role));
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+  }
+};
+
+bot.on('message', async (msg) => {
+  const { throttled, notify, retryAfter } = await isBotUserThrottled(msg.from ? msg.from.id : msg.chat.id);
+  if (throttled) {
+    if (notify) await bot.sendMessage(msg.chat.id, getSlowDownText(retryAfter)).catch(() => {});
+    return;
+  }
+  await withSession(getSessionKey(msg.chat, msg.from), () => handleMessage(msg));
+});
+
+const handleCallbackQuery = async (callbackQuery) => {
+  const msg = callbackQuery.message;
+  const chatId = msg.chat.id;
+  const data = callbackQuery.data;
+
+  console.log(`🔘 Callback query: ${data}`);
+
+  try {
+    const role = await getUserRole(callbackQuery.from.id);
+    const requiredRole = getRequiredRoleForCallback(data);
+    if (!hasRole(role, requiredRole)) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: getPermissionDeniedText(requiredRole, callbackQuery.from.id),
+        show_alert: true
+      });
+      return;
+    }
+
+    // FIX: Reordered the if/else if checks to handle more specific cases first.
+    if (data.startsWith('add_new_season_to_series_')) {
+      const seriesId = extractId(data, 'add_new_season_to_series_');
+      const series = await Series.findById(seriesId);
+      if (series) {
+        tempData.set(chatId, {
+          type: 'series',
+          seriesId: seriesId,
+          name: series.name,
+          thumbnail: series.thumbnail,
+          seasons: [...series.seasons]
+        });
+        userStates.set(chatId, 'adding_season_number_for_existing_series');
+        await bot.sendMessage(chatId, `📺 Adding to "${series.name}"\n\n🔢 Enter the new season number:`, { reply_markup: { remove_keyboard: true } });
+      }
+    } else if (data.startsWith('edit_series_episodes_')) {
+      const seriesId = data.split('_').pop();
+      const series = await Series.findById(seriesId);
+      if (!series) {
+        await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard(role));
+        return;
+      }
+      tempData.set(chatId, {
+        type: 'series',
+        seriesId: seriesId,
+        name: series.name,
+        thumbnail: series.thumbnail,
+        seasons: series.seasons,
+      });
+
+      let keyboard = [];
+      if (series.seasons && series.seasons.length > 0) {
+        keyboard = series.seasons.map(s => [
+          { text: `Season ${s.seasonNumber}`, callback_data: `select_season_${seriesId}_${s.seasonNumber}` }
+        ]);
+      }
+      keyboard.push([{ text: '➕ Add New Season', callback_data: `add_new_season_to_series_${seriesId}` }]);
+
+      await bot.sendMessage(chatId, '📺 *Select a season to add episodes to, or add a new season:*', {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } else if (data.startsWith('page_')) {
+      const [, list, pageNumber, ...searchParts] = data.split('_');
+      if (BOT_LISTS[list]) {
+        await editListPage(msg, list, parseInt(pageNumber), searchParts.join('_'), role);
+      }
+    } else if (data.startsWith('clearsearch_')) {
+      const list = extractId(data, 'clearsearch_');
+      if (BOT_LISTS[list]) {
+        await clearListSearch(msg, list, role);
+      }
+    } else if (data.startsWith('search_')) {
+      const list = extractId(data, 'search_');
+      if (BOT_LISTS[list]) {
+        // Remember the state we interrupted so an in-progress draft (e.g. an import) survives the search.
+        tempData.set(chatId, {
+          type: 'search',
+          ...tempData.get(chatId),
+          searchList: list,
+          searchReturnState: userStates.get(chatId) || null
+        });
+        userStates.set(chatId, 'searching_list');
+        await bot.sendMessage(chatId, RESUME_PROMPTS.searching_list());
+      }
+    } else if (data.startsWith('watch_')) {
+      const [, view, id, seasonNumber, episodeNumber] = data.split('_');
+      if (view === 'movie') {
+        await showCatalogueMovie(chatId, id);
+      } else if (view === 'series') {
+        await showCatalogueSeries(chatId, id);
+      } else if (view === 'seasons') {
+        await showCatalogueSeries(chatId, id, msg);
+      } else if (view === 'season') {
+        await showCatalogueSeason(chatId, id, parseInt(seasonNumber), msg);
+      } else if (view === 'episode') {
+        await showCatalogueEpisode(chatId, id, parseInt(seasonNumber), parseInt(episodeNumber), msg);
+      }
+    } else if (data.startsWith('subscribe_series_') || data.startsWith('unsubscribe_series_')) {
+      const subscribe = data.startsWith('subscribe_');
+      const seriesId = extractId(data, subscribe ? 'subscribe_series_' : 'unsubscribe_series_');
+      const series = mongoose.isValidObjectId(seriesId) && await Series.findById(seriesId, 'name');
+      if (!series) {
+        await bot.sendMessage(chatId, '❌ Series not found.');
+      } else if (subscribe) {
+        await subscribeToSeries(chatId, callbackQuery.from.id, series);
+      } else {
+        await Subscription.updateOne({ chatId }, { $pull: { seriesIds: series._id } });
+        await bot.sendMessage(chatId, `🔕 Unsubscribed from "${series.name}".`);
+      }
+    } else if (data.startsWith('playlist_series_')) {
+      const seriesId = extractId(data, 'playlist_series_');
+      const series = mongoose.isValidObjectId(seriesId) && await Series.findById(seriesId);
+      const entries = series ? getSeriesPlaylistEntries(series) : [];
+      if (!series) {
+        await bot.sendMessage(chatId, '❌ Series not found.');
+      } else if (entries.length === 0) {
+        await bot.sendMessage(chatId, `📭 "${series.name}" has no episodes yet.`);
+      } else {
+        await bot.sendDocument(chatId, Buffer.from(buildM3uPlaylist(entries)), {
+          caption: `📥 ${series.name} — ${entries.length} episode(s)\nOpen it in VLC, Kodi or any player that reads M3U playlists.`
+        }, { filename: getPlaylistFileName(series.name, 'm3u'), contentType: 'audio/x-mpegurl' });
+      }
+    } else if (data === 'noop') {
+      // Page indicator button; nothing to do.
+    } else if (data === 'create_new_series') {
+      userStates.set(chatId, 'adding_series_name');
+      tempData.set(chatId, { type: 'series' });
+      await bot.sendMessage(chatId, '📺 Enter the new series name:', { reply_markup: { remove_keyboard: true } });
+    } else if (data.startsWith('delete_confirm_')) {
+      const trashItem = await moveToTrash(parseTrashTarget(extractId(data, 'delete_confirm_')), botActor(callbackQuery.from.id));
+      if (trashItem) {
+        await bot.sendMessage(chatId,
+          `🗑️ ${trashItem.label} moved to trash.\n\nIt will be permanently deleted after ${TRASH_RETENTION_DAYS} days.`,
+          getUndoKeyboard(trashItem)
+        );
+      } else {
+        await bot.sendMessage(chatId, '❌ Item not found. It may already have been deleted.', getMainMenuKeyboard(role));
+      }
+    } else if (data.startsWith('delete_')) {
+      const target = parseTrashTarget(extractId(data, 'delete_'));
+      const loaded = await loadTrashTarget(target);
+      if (loaded) {
+        await bot.sendMessage(chatId, `⚠️ Move ${loaded.label} to the trash?`, {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🗑️ Yes, Delete', callback_data: `delete_confirm_${formatTrashTarget(target)}` }],
+              [{ text: '❌ Cancel', callback_data: 'cancel' }]
+            ]
+          }
+        });
+      } else {
+        await bot.sendMessage(chatId, '❌ Item not found.', getMainMenuKeyboard(role));
+      }
+    } else if (data.startsWith('undo_') || data.startsWith('trash_restore_')) {
+      const trashId = data.startsWith('undo_') ? extractId(data, 'undo_') : extractId(data, 'trash_restore_');
+      const { error, trashItem } = await restoreFromTrash(trashId, botActor(callbackQuery.from.id));
+      await bot.sendMessage(chatId, error ? `❌ ${error}` : `↩️ Restored ${trashItem.label}.`, getMainMenuKeyboard(role));
+    } else if (data.startsWith('edit_movie_')) {
+      const movieId = extractId(data, 'edit_movie_');
+      const movie = await Movie.findById(movieId);
+      if (movie) {
+        tempData.set(chatId, { type: 'movie', movieId, ...movie._doc });
+        userStates.set(chatId, 'editing_movie');
+        await bot.sendMessage(chatId,
+          `🎬 *Editing Movie: ${movie.name}*\n\n` +
+          formatMetadataSummary(movie) +
+          `What would you like to edit?`,
+          {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: '✍️ Edit Name', callback_data: `edit_field_movie_name` }],
+                [{ text: '📸 Edit Thumbnail URL', callback_data: `edit_field_movie_thumbnail` }],
+                [{ text: '🔗 Edit Streaming URL', callback_data: `edit_field_movie_streaming_url` }],
+                [{ text: '🎞️ Manage Sources', callback_data: 'sources_show' }],
+                [{ text: '💬 Subtitles', callback_data: 'subtitles_show' }],
+                ...getMetadataKeyboardRows('movie'),
+                [{ text: '❌ Cancel', callback_data: 'cancel' }]
+              ]
+            }
+          }
+        );
+      } else {
+        await bot.sendMessage(chatId, '❌ Movie not found.', getMainMenuKeyboard(role));
+      }
+    // FIX: Moved this check to come after the more specific 'edit_series_episodes_' check.
+    } else if (data.startsWith('edit_series_')) {
+      const seriesId = extractId(data, 'edit_series_');
+      const series = await Series.findById(seriesId);
+      if (series) {
+        tempData.set(chatId, { type: 'series', seriesId, ...series._doc });
+        userStates.set(chatId, 'editing_series');
+        await bot.sendMessage(chatId,
+          `📺 *Editing Series: ${series.name}*\n\n` +
+          formatMetadataSummary(series) +
+          `What would you like to edit?`,
+          {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: '✍️ Edit Name', callback_data: `edit_field_series_name` }],
+                [{ text: '📸 Edit Thumbnail URL', callback_data: `edit_field_series_thumbnail` }],
+                ...getMetadataKeyboardRows('series'),
+                [{ text: '➕ Add/Edit Episodes', callback_data: `edit_series_episodes_${series._id}` }],
+                [{ text: '📥 Get playlist', callback_data: `playlist_series_${series._id}` }],
+                [{ text: '❌ Cancel', callback_data: 'cancel' }]
+              ]
+            }
+          }
+        );
+      } else {
+        await bot.sendMessage(chatId, '❌ Series not found.', getMainMenuKeyboard(role));
+      }
+    } else if (data.startsWith('edit_field_movie_')) {
+        const userData = tempData.get(chatId);
+        if (!userData || userData.type !== 'movie' || !userData.movieId) {
+          await bot.sendMessage(chatId, '❌ No movie selected for editing. Please try again.', getMainMenuKeyboard(role));
+          return;
+        }
+        const fieldToEdit = extractId(data, 'edit_field_movie_');
+        switch (fieldToEdit) {
+          case 'name':
+            userStates.set(chatId, 'editing_movie_name');
+            await bot.sendMessage(chatId, '✍️ Enter the new movie name:');
+            break;
+          case 'thumbnail':
+            userStates.set(chatId, 'editing_movie_thumbnail');
+            await bot.sendMessage(chatId, '📸 Enter the new movie thumbnail URL:');
+            break;
+          case 'streaming_url':
+            userStates.set(chatId, 'editing_movie_streaming_url');
+            await bot.sendMessage(chatId, '🔗 Enter the new streaming URL:');
+            break;
+          default:
+            if (Object.prototype.hasOwnProperty.call(METADATA_FIELDS, fieldToEdit)) {
+              tempData.set(chatId, { ...userData, metadataField: fieldToEdit });
+              userStates.set(chatId, 'editing_movie_metadata');
+              await bot.sendMessage(chatId, getMetadataPrompt(fieldToEdit));
+              break;
+            }
+            await bot.sendMessage(chatId, '❌ Invalid edit option.', getMainMenuKeyboard(role));
+            break;
+        }
+    } else if (data.startsWith('edit_field_series_')) {
+        const userData = tempData.get(chatId);
+        if (!userData || userData.type !== 'series' || !userData.seriesId) {
+          await bot.sendMessage(chatId, '❌ No series selected for editing. Please try again.', getMainMenuKeyboard(role));
+          return;
+        }
+        const fieldToEdit = extractId(data, 'edit_field_series_');
+        switch (fieldToEdit) {
+          case 'name':
+            userStates.set(chatId, 'editing_series_name');
+            await bot.sendMessage(chatId, '✍️ Enter the new series name:');
+            break;
+          case 'thumbnail':
+            userStates.set(chatId, 'editing_series_thumbnail');
+            await bot.sendMessage(chatId, '📸 Enter the new series thumbnail URL:');
+            break;
+          default:
+            if (Object.prototype.hasOwnProperty.call(METADATA_FIELDS, fieldToEdit)) {
+              tempData.set(chatId, { ...userData, metadataField: fieldToEdit });
+              userStates.set(chatId, 'editing_series_metadata');
+              await bot.sendMessage(chatId, getMetadataPrompt(fieldToEdit));
+              break;
+            }
+            await bot.sendMessage(chatId, '❌ Invalid edit option.', getMainMenuKeyboard(role));
+            break;
+        }
+    } else if (data.startsWith('select_season_')) {
+        const parts = data.split('_');
+        const seriesId = parts[2];
+        const seasonNumber = parseInt(parts[3]);
+
+        const series = await Series.findById(seriesId);
+        if (!series) {
+          await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard(role));
+          return;
+        }
+        const selectedSeason = series.seasons.find(s => s.seasonNumber === seasonNumber);
+        if (!selectedSeason) {
+            await bot.sendMessage(chatId, '❌ Season not found. Please try again.', getMainMenuKeyboard(role));
+            return;
+        }
+        tempData.set(chatId, {
+            type: 'series',
+            seriesId: seriesId,
+            name: series.name,
+            thumbnail: series.thumbnail,
+            seasons: series.seasons,
+            currentSeason: selectedSeason
+        });
+
+        // ✨ MODIFIED: Offer options to add a new episode or edit an existing one
+        const episodeCount = selectedSeason.episodes.length;
+        let keyboard = [[{ text: '➕ Add New Episode', callback_data: `start_add_episode` }]];
+        if (episodeCount > 0) {
+            keyboard.push([{ text: `✍️ Edit ${episodeCount} Existing Episode${episodeCount > 1 ? 's' : ''}`, callback_data: `start_edit_episodes_${seriesId}_${seasonNumber}` }]);
+        }
+        if (hasRole(role, 'admin')) {
+            keyboard.push([{ text: '🗑️ Delete Season', callback_data: `delete_season_${seriesId}_${seasonNumber}` }]);
+        }
+
+        await bot.sendMessage(chatId, `📺 *Season ${seasonNumber} - ${series.name}*\n\nWhat would you like to do?`, {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: keyboard
+          }
+        });
+    } else if (data === 'start_add_episode') {
+        const userData = tempData.get(chatId);
+        if (!userData || !userData.currentSeason) {
+            await bot.sendMessage(chatId, '❌ No series or season in progress. Please start over.', getMainMenuKeyboard(role));
+            userStates.delete(chatId);
+            tempData.delete(chatId);
+            return;
+        }
+        userStates.set(chatId, 'adding_episode_number');
+        await bot.sendMessage(chatId, `📺 Season ${userData.currentSeason.seasonNumber} - Enter episode number:`);
+    } else if (data.startsWith('start_edit_episodes_')) {
+        const parts = data.split('_');
+        const seriesId = parts[3];
+        const seasonNumber = parseInt(parts[4]);
+        const series = await Series.findById(seriesId);
+        if (!series) {
+            await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard(role));
+            return;
+        }
+        const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+        if (!season || !season.episodes || season.episodes.length === 0) {
+            await bot.sendMessage(chatId, '❌ No episodes to edit in this season.', getMainMenuKeyboard(role));
+            return;
+        }
+
+        // ✨ NEW: Display a keyboard of episodes to edit
+        const episodeKeyboard = season.episodes.sort((a,b) => a.episodeNumber - b.episodeNumber).map(ep => [{
+            text: `E${ep.episodeNumber}: ${ep.title}`,
+            callback_data: `edit_episode_field_${seriesId}_${seasonNumber}_${ep.episodeNumber}`
+        }]);
+
+        await bot.sendMessage(chatId, `✍️ *Select an episode to edit in Season ${seasonNumber}:*`, {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: episodeKeyboard }
+        });
+    } else if (data.startsWith('edit_episode_field_')) {
+        const parts = data.split('_');
+        const seriesId = parts[3];
+        const seasonNumber = parseInt(parts[4]);
+        const episodeNumber = parseInt(parts[5]);
+
+        const series = await Series.findById(seriesId);
+        if (!series) {
+            await bot.sendMessage(chatId, '❌ Series not found.', getMainMenuKeyboard(role));
+            return;
+        }
+        const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+        const episode = season?.episodes.find(ep => ep.episodeNumber === episodeNumber);
+        if (!episode) {
+            await bot.sendMessage(chatId, '❌ Episode not found.', getMainMenuKeyboard(role));
+            return;
+        }
+
+        tempData.set(chatId, {
+            type: 'series_episode_edit',
+            seriesId: seriesId,
+            seasonNumber: seasonNumber,
+            episodeNumber: episodeNumber,
+            currentEpisode: episode
+        });
+
+        await bot.sendMessage(chatId,
+            `✍️ *Editing Episode S${seasonNumber}E${episodeNumber}: ${episode.title}*\n\n` +
+            `${describeEpisodeMarkers(episode)}\n\n` +
+            `What would you like to edit?`,
+            {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '✍️ Edit Title', callback_data: 'edit_field_episode_title' }],
+                        [{ text: '🔗 Edit Streaming URL', callback_data: 'edit_field_episode_streaming_url' }],
+                        [{ text: '🎞️ Manage Sources', callback_data: 'sources_show' }],
+                        [{ text: '💬 Subtitles', callback_data: 'subtitles_show' }],
+                        [{ text: '⏭️ Intro & Credits', callback_data: 'edit_field_episode_markers' }],
+                        ...(hasRole(role, 'admin')
+                            ? [[{ text: '🗑️ Delete Episode', callback_data: `delete_episode_${seriesId}_${seasonNumber}_${episodeNumber}` }]]
+                            : []),
+                        [{ text: '❌ Cancel', callback_data: 'cancel' }]
+                    ]
+                }
+            }
+        );
+    } else if (data === 'edit_field_episode_title') {
+        userStates.set(chatId, 'editing_episode_title');
+        await bot.sendMessage(chatId, `✍️ Enter the new episode title:`);
+    } else if (data === 'edit_field_episode_streaming_url') {
+        userStates.set(chatId, 'editing_episode_streaming_url');
+        await bot.sendMessage(chatId, `🔗 Enter the new streaming URL:`);
+    } else if (data === 'edit_field_episode_markers') {
+        userStates.set(chatId, 'editing_episode_markers');
+        await bot.sendMessage(chatId, EPISODE_MARKERS_PROMPT);
+    } else if (data.startsWith('fixlink_')) {
+      const [, targetType, id, field, seasonNumber, episodeNumber] = data.split('_');
+      const Model = targetType === 'movie' ? Movie : Series;
+      const doc = mongoose.isValidObjectId(id) && await Model.findById(id);
+      if (!doc) {
+        await bot.sendMessage(chatId, '❌ Item not found.', getMainMenuKeyboard(role));
+        return;
+      }
+      if (field === 'source') {
+        const editData = episodeNumber !== undefined
+          ? { type: 'series_episode_edit', seriesId: id, seasonNumber: parseInt(seasonNumber), episodeNumber: parseInt(episodeNumber) }
+          : { type: 'movie', movieId: id };
+        const target = await loadEditTarget(editData);
+        if (!target) {
+          await bot.sendMessage(chatId, '❌ Item not found.', getMainMenuKeyboard(role));
+          return;
+        }
+        tempData.set(chatId, editData);
+        await sendSourcesMenu(chatId, target);
+        return;
+      }
+      const prompt = field === 'thumbnail' ? '📸 Enter the new thumbnail URL:' : '🔗 Enter the new streaming URL:';
+      if (episodeNumber !== undefined) {
+        tempData.set(chatId, {
+          type: 'series_episode_edit',
+          seriesId: id,
+          seasonNumber: parseInt(seasonNumber),
+          episodeNumber: parseInt(episodeNumber)
+        });
+        userStates.set(chatId, field === 'thumbnail' ? 'editing_episode_thumbnail' : 'editing_episode_streaming_url');
+      } else if (targetType === 'movie') {
+        tempData.set(chatId, { type: 'movie', movieId: id });
+        userStates.set(chatId, field === 'thumbnail' ? 'editing_movie_thumbnail' : 'editing_movie_streaming_url');
+      } else {
+        tempData.set(chatId, { type: 'series', seriesId: id });
+        userStates.set(chatId, 'editing_series_thumbnail');
+      }
+      await bot.sendMessage(chatId, `${doc.name}${episodeNumber !== undefined ? ` S${seasonNumber}E${episodeNumber}` : ''}\n${prompt}`);
+    } else if (data === 'add_another_episode') {
+      const userData = tempData.get(chatId);
+      if (userData && userData.currentSeason) {
+        userStates.set(chatId, 'adding_episode_number');
+        await bot.sendMessage(chatId, `📺 Season ${userData.currentSeason.seasonNumber} - Enter next episode number:`);
+      } else {
+        await bot.sendMessage(chatId, '❌ No series or season in progress. Please start over.', getMainMenuKeyboard(role));
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+      }
+    } else if (data === 'add_new_season') {
+      userStates.set(chatId, 'adding_season_number');
+      await bot.sendMessage(chatId, '🔢 Enter new season number:');
+    } else if (data === 'finish_series') {
+      const userData = tempData.get(chatId);
+      if (!userData || userData.type !== 'series') {
+          await bot.sendMessage(chatId, '❌ No series in progress. Please start over.', getMainMenuKeyboard(role));
+          userStates.delete(chatId);
+          tempData.delete(chatId);
+          return;
+      }
+      try {
+        if (userData.seriesId) {
+          let newEpisodes = [];
+          const updated = await updateLibraryDocument(Series, userData.seriesId, botActor(callbackQuery.from.id), series => {
+            const existing = new Set(series.seasons.flatMap(s => s.episodes.map(e => `${s.seasonNumber}_${e.episodeNumber}`)));
+            newEpisodes = userData.seasons.flatMap(s => s.episodes
+              .filter(e => !existing.has(`${s.seasonNumber}_${e.episodeNumber}`))
+              .map(e => ({ ...e, seasonNumber: s.seasonNumber })));
+            series.seasons = userData.seasons;
+          });
+          await bot.sendMessage(chatId, `✅ Series "${userData.name}" updated successfully!`, getMainMenuKeyboard(role));
+          if (updated && newEpisodes.length > 0) await announceNewContent(updated, 'series', newEpisodes);
+        } else {
+          const series = new Series({
+            name: userData.name,
+            thumbnail: userData.thumbnail,
+            seasons: userData.seasons,
+            ...getDraftMetadata(userData),
+            addedBy: callbackQuery.from.id
+          });
+          await saveLibraryDocument(series, botActor(callbackQuery.from.id));
+          await bot.sendMessage(chatId, `✅ Series "${userData.name}" created with ${userData.seasons.length} season(s)!`, getMainMenuKeyboard(role));
+          await announceNewContent(series, 'series');
+        }
+      } catch (error) {
+        console.error('Error saving series:', error);
+        await bot.sendMessage(chatId, '❌ Error saving series. Please try again.', getMainMenuKeyboard(role));
+      }
+      userStates.delete(chatId);
+      tempData.delete(chatId);
+    } else if (data.startsWith('import_series_')) {
+      const userData = tempData.get(chatId);
+      if (!userData || userData.type !== 'import') {
+        await bot.sendMessage(chatId, '❌ No import in progress. Please send the file again.', getMainMenuKeyboard(role));
+        return;
+      }
+      await sendImportPreview(chatId, userData.import, role, extractId(data, 'import_series_'));
+    } else if (data === 'import_confirm_skip' || data === 'import_confirm_overwrite') {
+      const userData = tempData.get(chatId);
+      if (!userData || userData.type !== 'import' || userStates.get(chatId) !== 'confirming_import') {
+        await bot.sendMessage(chatId, '❌ No import in progress. Please send the file again.', getMainMenuKeyboard(role));
+        return;
+      }
+      userStates.delete(chatId);
+      tempData.delete(chatId);
+      const result = await applyImport(userData.import, {
+        overwrite: data === 'import_confirm_overwrite',
+        actor: botActor(callbackQuery.from.id)
+      });
+      await bot.sendMessage(chatId, formatImportResult(result), getMainMenuKeyboard(role));
+    } else if (data === 'restore_confirm_merge' || data === 'restore_confirm_replace') {
+      const userData = tempData.get(chatId);
+      if (!userData || userData.type !== 'restore' || !userData.fileId) {
+        await bot.sendMessage(chatId, '❌ No restore in progress. Use /restore to start again.', getMainMenuKeyboard(role));
+        return;
+      }
+      userStates.delete(chatId);
+      tempData.delete(chatId);
+      const { library, error } = parseLibraryArchive(await downloadTelegramFile(userData.fileId));
+      if (error) {
+        await bot.sendMessage(chatId, `❌ ${error}`, getMainMenuKeyboard(role));
+        return;
+      }
+      const result = await restoreLibrary(library, {
+        mode: data === 'restore_confirm_merge' ? 'merge' : 'replace',
+        actor: botActor(callbackQuery.from.id)
+      });
+      await bot.sendMessage(chatId, `✅ Restore complete!\n\n${formatRestoreReport(result)}`, getMainMenuKeyboard(role));
+    } else if (data.startsWith('sources_')) {
+      const userData = tempData.get(chatId);
+      const target = userData && await loadEditTarget(userData);
+      if (!target) {
+        await bot.sendMessage(chatId, '❌ Nothing selected for editing. Please open the movie or episode again.', getMainMenuKeyboard(role));
+        return;
+      }
+      if (data === 'sources_show') {
+        await sendSourcesMenu(chatId, target);
+      } else if (data === 'sources_add') {
+        tempData.set(chatId, { ...userData, sourceReturnState: userStates.get(chatId) || null });
+        userStates.set(chatId, 'adding_source_url');
+        await bot.sendMessage(chatId, '🔗 Enter the URL of the new source:');
+      } else if (data.startsWith('sources_up_')) {
+        const index = parseInt(extractId(data, 'sources_up_'));
+        await updateSources(chatId, callbackQuery.from.id, target, sources => {
+          if (index > 0 && index < sources.length) {
+            sources[index].priority = index - 1;
+            sources[index - 1].priority = index;
+          }
+        });
+      } else if (data.startsWith('sources_remove_')) {
+        const index = parseInt(extractId(data, 'sources_remove_'));
+        if (target.item.sources.length <= 1) {
+          await bot.sendMessage(chatId, '⚠️ At least one source is required. Add another source before removing this one.');
+        } else {
+          await updateSources(chatId, callbackQuery.from.id, target, sources => {
+            if (sources[index]) sources.pull(sources[index]._id);
+          });
+        }
+      }
+    } else if (data.startsWith('subtitles_')) {
+      const userData = tempData.get(chatId);
+      const target = userData && await loadEditTarget(userData);
+      if (!target) {
+        await bot.sendMessage(chatId, '❌ Nothing selected for editing. Please open the movie or episode again.', getMainMenuKeyboard(role));
+        return;
+      }
+      if (data === 'subtitles_show') {
+        await sendSubtitlesMenu(chatId, target);
+      } else if (data === 'subtitles_add') {
+        tempData.set(chatId, { ...userData, subtitleReturnState: userStates.get(chatId) || null });
+        userStates.set(chatId, 'adding_subtitle_language');
+        await bot.sendMessage(chatId, SUBTITLE_LANGUAGE_PROMPT);
+      } else if (data.startsWith('subtitles_remove_')) {
+        // Only the track is detached: the file stays, so the audit history and older backups
+        // that still reference it keep working.
+        const track = target.item.subtitles[parseInt(extractId(data, 'subtitles_remove_'))];
+        if (track) {
+          await updateSubtitles(chatId, callbackQuery.from.id, target, subtitles => {
+            subtitles.splice(subtitles.indexOf(track), 1);
+          });
+        }
+      }
+    } else if (data.startsWith('metadata_pick_') || data === 'metadata_manual') {
+      const userData = tempData.get(chatId);
+      if (!userData || userStates.get(chatId) !== 'choosing_metadata_match') {
+        await bot.sendMessage(chatId, '❌ No title in progress. Please start over.', getMainMenuKeyboard(role));
+        return;
+      }
+      const match = data === 'metadata_manual' ? null : userData.metadataMatches[parseInt(extractId(data, 'metadata_pick_'))];
+      delete userData.metadataMatches;
+      if (match && metadataProvider) {
+        try {
+          applyMetadataDetails(userData, await metadataProvider.details(userData.type === 'movie' ? 'movie' : 'series', match.id));
+          const episodeCount = userData.pendingEpisodes ? userData.pendingEpisodes.length : 0;
+          await bot.sendMessage(chatId,
+            `✅ Filled in "${userData.name}" from ${metadataProvider.name}` +
+            (episodeCount > 0 ? ` with ${episodeCount} episode(s) to add.` : '.')
+          );
+        } catch (error) {
+          console.error('❌ Error loading metadata details:', error);
+          await bot.sendMessage(chatId, `⚠️ Could not load details from ${metadataProvider.name}. Continuing with manual entry.`);
+        }
+      }
+      tempData.set(chatId, userData);
+      await continueDraftAfterName(chatId, userData);
+    } else if (data === 'resume_session') {
+      if (userStates.has(chatId)) {
+        await sendResumePrompt(chatId, role);
+      } else {
+        await bot.sendMessage(chatId, 'ℹ️ There is nothing to resume.', getMainMenuKeyboard(role));
+      }
+    } else if (data === 'discard_session') {
+      userStates.delete(chatId);
+      tempData.delete(chatId);
+      await bot.sendMessage(chatId, '🗑️ Draft discarded.', getMainMenuKeyboard(role));
+    } else if (data === 'cancel') {
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        await bot.sendMessage(chatId, 'Operation canceled.', getMainMenuKeyboard(role));
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id);
+  } catch (error) {
+    console.error('❌ Error handling callback query:', error);
+    await bot.answerCallbackQuery(callbackQuery.id, { text: 'An error occurred' });
+    // Clear state on error to prevent being stuck
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+  }
+};
+
+bot.on('callback_query', async (callbackQuery) => {
+  const { throttled, retryAfter } = await isBotUserThrottled(callbackQuery.from.id);
+  if (throttled) {
+    // Always answered, otherwise the button keeps spinning; the toast doesn't add to the chat.
+    await bot.answerCallbackQuery(callbackQuery.id, { text: getSlowDownText(retryAfter) }).catch(() => {});
+    return;
+  }
+  await withSession(getSessionKey(callbackQuery.message.chat, callbackQuery.from), () => handleCallbackQuery(callbackQuery));
+});
+
+// ================================================================
+// INLINE MODE
+// ================================================================
+
+// "@bot <title>" in any chat (inline mode must be enabled with @BotFather). Results are
+// articles that link into the web frontend; "<series> s2e5" links straight to an episode.
+const INLINE_PAGE_SIZE = 20;
+const INLINE_MAX_RESULTS = 50;
+const INLINE_CACHE_TTL_MS = 60 * 1000;
+const INLINE_CACHE_MAX_ENTRIES = 200;
+const INLINE_EPISODE_PATTERN = /^(.+?)\s+s(\d{1,3})\s*e(\d{1,4})$/i;
+
+const inlineSearchCache = new Map();
+
+const describeInlineItem = (item, type) => [
+  type === 'movie' ? '🎬 Movie' : `📺 Series · ${item.seasons.length} season(s)`,
+  item.year,
+  item.genres && item.genres.slice(0, 3).join(', ')
+].filter(Boolean).join(' • ');
+
+const buildInlineArticle = (item, type, episode) => {
+  const link = episode
+    ? getFrontendLink({ series: item._id, season: episode.seasonNumber, episode: episode.episodeNumber })
+    : getFrontendLink({ [type]: item._id });
+  const title = episode
+    ? `${item.name} S${episode.seasonNumber}E${episode.episodeNumber} · ${episode.title}`
+    : item.name;
+  const description = describeInlineItem(item, type);
+  return {
+    type: 'article',
+    id: episode ? `episode_${item._id}_${episode.seasonNumber}_${episode.episodeNumber}` : `${type}_${item._id}`,
+    title,
+    description: item.description ? `${description}\n${item.description}` : description,
+    ...(/^https?:\/\//.test(item.thumbnail || '') ? { thumb_url: item.thumbnail } : {}),
+    input_message_content: {
+      message_text: `${type === 'movie' ? '🎬' : '📺'} ${title}${item.year ? ` (${item.year})` : ''}\n` +
+        (item.description ? `\n${item.description.slice(0, 300)}\n` : '') +
+        `\n▶️ ${link}`
+    },
+    reply_markup: { inline_keyboard: [[{ text: '▶️ Watch', url: link }]] }
+  };
+};
+
+const searchInlineResults = async (query) => {
+  if (!query) {
+    return (await getLatestTitles(INLINE_PAGE_SIZE)).map(({ doc, type }) => buildInlineArticle(doc, type));
+  }
+
+  const episodeQuery = query.match(INLINE_EPISODE_PATTERN);
+  if (episodeQuery) {
+    const [, name, seasonNumber, episodeNumber] = episodeQuery;
+    const episodes = (await searchByName(Series, name))
+      .sort((a, b) => b.rank - a.rank)
+      .map(({ doc }) => {
+        const season = doc.seasons.find(s => s.seasonNumber === parseInt(seasonNumber));
+        const episode = season && season.episodes.find(e => e.episodeNumber === parseInt(episodeNumber));
+        return episode && buildInlineArticle(doc, 'series', { ...episode, seasonNumber: season.seasonNumber });
+      })
+      .filter(Boolean);
+    if (episodes.length > 0) return episodes;
+  }
+
+  return (await searchLibraryByName(query))
+    .slice(0, INLINE_MAX_RESULTS)
+    .map(({ doc, type }) => buildInlineArticle(doc, type));
+};
+
+// Results are cached briefly per query so typing and paging don't repeat the search.
+const getInlineResults = async (query) => {
+  const key = query.toLowerCase();
+  const cached = inlineSearchCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.results;
+  const results = await searchInlineResults(query);
+  if (inlineSearchCache.size >= INLINE_CACHE_MAX_ENTRIES) {
+    inlineSearchCache.delete(inlineSearchCache.keys().next().value);
+  }
+  inlineSearchCache.set(key, { results, expiresAt: Date.now() + INLINE_CACHE_TTL_MS });
+  return results;
+};
+
+const handleInlineQuery = async (inlineQuery) => {
+  try {
+    const role = await getUserRole(inlineQuery.from.id);
+    const offset = parseInt(inlineQuery.offset) || 0;
+    const results = hasRole(role, 'viewer') ? await getInlineResults(inlineQuery.query.trim()) : [];
+    const page = results.slice(offset, offset + INLINE_PAGE_SIZE);
+    await bot.answerInlineQuery(inlineQuery.id, page, {
+      // Answers depend on the user's role, so Telegram must not share them between users.
+      is_personal: true,
+      cache_time: INLINE_CACHE_TTL_MS / 1000,
+      next_offset: offset + INLINE_PAGE_SIZE < results.length ? String(offset + INLINE_PAGE_SIZE) : ''
+    });
+  } catch (error) {
+    console.error('❌ Error handling inline query:', error);
+  }
+};
+
+bot.on('inline_query', handleInlineQuery);
+
+async function handleConversationFlow(chatId, text, userId, role) {
+  const state = userStates.get(chatId);
+  const data = tempData.get(chatId) || {};
+  try {
+    switch (state) {
+      case 'adding_movie_name':
+        data.name = text.trim();
+        if (!(await offerMetadataMatches(chatId, data))) {
+          await continueDraftAfterName(chatId, data);
+        }
+        break;
+      case 'adding_movie_thumbnail':
+        data.thumbnail = text.trim();
+        userStates.set(chatId, 'adding_movie_streaming_url');
+        await bot.sendMessage(chatId, '🔗 Enter the streaming URL (.mp4, .m3u8, etc.):');
+        break;
+      case 'adding_movie_streaming_url':
+        data.streamingUrl = text.trim();
+        try {
+          const movie = new Movie({ ...data, addedBy: userId });
+          await saveLibraryDocument(movie, botActor(userId));
+          await bot.sendMessage(chatId, `✅ Movie "${data.name}" added successfully!`, getMainMenuKeyboard(role));
+          await announceNewContent(movie, 'movie');
+        } catch (error) {
+          console.error('Error saving movie:', error);
+          await bot.sendMessage(chatId, '❌ Error adding movie. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'adding_series_name':
+        data.name = text.trim();
+        if (!(await offerMetadataMatches(chatId, data))) {
+          await continueDraftAfterName(chatId, data);
+        }
+        break;
+      case 'adding_series_thumbnail':
+        data.thumbnail = text.trim();
+        await startSeriesEpisodes(chatId, data);
+        break;
+      case 'adding_source_url':
+        if (!text.trim()) {
+          await bot.sendMessage(chatId, '⚠️ Please enter a URL.');
+          return;
+        }
+        data.newSourceUrl = text.trim();
+        userStates.set(chatId, 'adding_source_details');
+        await bot.sendMessage(chatId, SOURCE_DETAILS_PROMPT);
+        break;
+      case 'adding_source_details': {
+        const [quality, language, label] = text.trim() === '-' ? [] : text.split(',').map(part => part.trim());
+        const target = await loadEditTarget(data);
+        if (!target) {
+          await bot.sendMessage(chatId, '❌ The movie or episode no longer exists.', getMainMenuKeyboard(role));
+          userStates.delete(chatId);
+          tempData.delete(chatId);
+          break;
+        }
+        const { error, value } = validateSourceInput(
+          { url: data.newSourceUrl, quality, language, label, priority: Math.max(target.item.sources.length, 1) },
+          null
+        );
+        if (error) {
+          await bot.sendMessage(chatId, `❌ ${error}. Please try again:`);
+          break;
+        }
+        const returnState = data.sourceReturnState;
+        delete data.newSourceUrl;
+        delete data.sourceReturnState;
+        if (returnState) {
+          userStates.set(chatId, returnState);
+        } else {
+          userStates.delete(chatId);
+        }
+        await updateSources(chatId, userId, target, sources => {
+          sources.push(value);
+        });
+        break;
+      }
+      case 'adding_subtitle_language': {
+        const { error, value } = parseSubtitleLanguage(text);
+        if (error) {
+          await bot.sendMessage(chatId, `⚠️ ${error}:`);
+          break;
+        }
+        data.subtitleLanguage = value.language;
+        data.subtitleLabel = value.label;
+        userStates.set(chatId, 'awaiting_subtitle_file');
+        await bot.sendMessage(chatId, RESUME_PROMPTS.awaiting_subtitle_file());
+        break;
+      }
+      case 'awaiting_subtitle_file':
+        await bot.sendMessage(chatId, '📎 Please send the subtitles as a .srt or .vtt file.');
+        break;
+      case 'choosing_metadata_match':
+        await bot.sendMessage(chatId, '👆 Pick one of the matches above, or tap ✍️ Enter Manually.');
+        break;
+      case 'filling_episode_urls': {
+        const reply = text.trim();
+        const [episode, ...remaining] = data.pendingEpisodes;
+        if (reply.toLowerCase() === 'stop') {
+          data.pendingEpisodes = [];
+        } else {
+          data.pendingEpisodes = remaining;
+          if (reply.toLowerCase() !== 'skip') {
+            const { seasonNumber, ...fields } = episode;
+            let season = data.seasons.find(s => s.seasonNumber === seasonNumber);
+            if (!season) {
+              season = { seasonNumber, episodes: [] };
+              data.seasons.push(season);
+            }
+            season.episodes.push({ ...fields, streamingUrl: reply });
+            data.currentSeason = season;
+            data.currentEpisode = season.episodes[season.episodes.length - 1];
+          }
+        }
+        if (data.pendingEpisodes.length > 0) {
+          await bot.sendMessage(chatId, getEpisodeUrlPrompt(data));
+          break;
+        }
+        delete data.pendingEpisodes;
+        if (data.seasons.length === 0) {
+          userStates.set(chatId, 'adding_season_number');
+          await bot.sendMessage(chatId, 'ℹ️ No episodes were added.\n\n🔢 Enter season number:');
+          break;
+        }
+        // Same state as after a manually added episode, so the next-step keyboard resumes correctly.
+        userStates.set(chatId, 'adding_episode_url');
+        const filledEpisodes = data.seasons.reduce((total, s) => total + s.episodes.length, 0);
+        await bot.sendMessage(chatId,
+          `✅ ${filledEpisodes} episode(s) added across ${data.seasons.length} season(s)!\n\nWhat would you like to do next?`,
+          getEpisodeAddedKeyboard(data)
+        );
+        break;
+      }
+      case 'adding_season_number_for_existing_series':
+      case 'adding_season_number':
+        const seasonNumber = parsePositiveInteger(text);
+        if (!seasonNumber) {
+          await bot.sendMessage(chatId, '⚠️ Please enter a valid season number!');
+          return;
+        }
+        const existingSeason = data.seasons.find(s => s.seasonNumber === seasonNumber);
+        if (existingSeason) {
+          await bot.sendMessage(chatId, '⚠️ This season already exists. Please enter a different season number.');
+          return;
+        }
+        data.currentSeason = { seasonNumber, episodes: [] };
+        userStates.set(chatId, 'adding_episode_number');
+        await bot.sendMessage(chatId, `📺 Adding to Series "${data.name}", Season ${seasonNumber}.\n\n🔢 Enter episode number:`);
+        break;
+      case 'adding_episode_number':
+        const episodeNumber = parsePositiveInteger(text);
+        if (!episodeNumber) {
+          await bot.sendMessage(chatId, '⚠️ Please enter a valid episode number!');
+          return;
+        }
+        const existingEpisode = data.currentSeason.episodes.find(e => e.episodeNumber === episodeNumber);
+        if (existingEpisode) {
+          await bot.sendMessage(chatId, `⚠️ Episode ${episodeNumber} already exists in Season ${data.currentSeason.seasonNumber}. Choose a different number.`);
+          return;
+        }
+        data.currentEpisode = { episodeNumber };
+        userStates.set(chatId, `adding_episode_title`);
+        await bot.sendMessage(chatId, `📺 S${data.currentSeason.seasonNumber}E${episodeNumber} - Enter episode title:`);
+        break;
+      case 'adding_episode_title':
+        data.currentEpisode.title = text.trim();
+        userStates.set(chatId, `adding_episode_url`);
+        await bot.sendMessage(chatId, '🔗 Enter episode streaming URL:');
+        break;
+      case 'adding_episode_url':
+        data.currentEpisode.streamingUrl = text.trim();
+        data.currentSeason.episodes.push(data.currentEpisode);
+        const seasonIndex = data.seasons.findIndex(s => s.seasonNumber === data.currentSeason.seasonNumber);
+        if (seasonIndex >= 0) {
+          data.seasons[seasonIndex] = data.currentSeason;
+        } else {
+          data.seasons.push(data.currentSeason);
+        }
+        const totalEpisodes = data.currentSeason.episodes.length;
+        await bot.sendMessage(chatId,
+          `✅ Episode added! S${data.currentSeason.seasonNumber}E${data.currentEpisode.episodeNumber}: ${data.currentEpisode.title}\n\n` +
+          `📊 Season ${data.currentSeason.seasonNumber} now has ${totalEpisodes} episode${totalEpisodes !== 1 ? 's' : ''}\n\n` +
+          `What would you like to do next?`,
+          getEpisodeAddedKeyboard(data)
+        );
+        break;
+      case 'searching_list': {
+        const query = truncateUtf8(text.trim(), LIST_SEARCH_MAX_BYTES).trim();
+        if (!query) {
+          await bot.sendMessage(chatId, '⚠️ Please type a name to search for.');
+          return;
+        }
+        const list = data.searchList;
+        const returnState = data.searchReturnState;
+        delete data.searchList;
+        delete data.searchReturnState;
+        if (returnState) {
+          userStates.set(chatId, returnState);
+        } else {
+          userStates.delete(chatId);
+          tempData.delete(chatId);
+        }
+        await sendListPage(chatId, list, 1, query, role);
+        break;
+      }
+      case 'searching_catalogue': {
+        const query = truncateUtf8(text.trim(), LIST_SEARCH_MAX_BYTES).trim();
+        if (!query) {
+          await bot.sendMessage(chatId, '⚠️ Please type a title to search for.');
+          return;
+        }
+        const returnState = data.searchReturnState;
+        delete data.searchReturnState;
+        if (returnState) {
+          userStates.set(chatId, returnState);
+        } else {
+          userStates.delete(chatId);
+          tempData.delete(chatId);
+        }
+        await sendCatalogueSearch(chatId, query);
+        break;
+      }
+      case 'editing_movie_name':
+        try {
+          await updateLibraryDocument(Movie, data.movieId, botActor(userId), doc => {
+            doc.name = text.trim();
+          });
+          await bot.sendMessage(chatId, `✅ Movie name updated to "${text.trim()}"!`, getMainMenuKeyboard(role));
+        } catch (error) {
+          console.error('Error updating movie name:', error);
+          await bot.sendMessage(chatId, '❌ Error updating movie name. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_movie_thumbnail':
+        try {
+          await updateLibraryDocument(Movie, data.movieId, botActor(userId), doc => {
+            doc.thumbnail = text.trim();
+          });
+          await bot.sendMessage(chatId, `✅ Movie thumbnail updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+          console.error('Error updating movie thumbnail:', error);
+          await bot.sendMessage(chatId, '❌ Error updating movie thumbnail. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_movie_streaming_url':
+        try {
+          await updateLibraryDocument(Movie, data.movieId, botActor(userId), doc => {
+            setPrimaryStreamingUrl(doc, text.trim());
+          });
+          await bot.sendMessage(chatId, `✅ Movie streaming URL updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+          console.error('Error updating movie streaming URL:', error);
+          await bot.sendMessage(chatId, '❌ Error updating movie streaming URL. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_series_name':
+        try {
+          await updateLibraryDocument(Series, data.seriesId, botActor(userId), doc => {
+            doc.name = text.trim();
+          });
+          await bot.sendMessage(chatId, `✅ Series name updated to "${text.trim()}"!`, getMainMenuKeyboard(role));
+        } catch (error) {
+          console.error('Error updating series name:', error);
+          await bot.sendMessage(chatId, '❌ Error updating series name. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_series_thumbnail':
+        try {
+          await updateLibraryDocument(Series, data.seriesId, botActor(userId), doc => {
+            doc.thumbnail = text.trim();
+          });
+          await bot.sendMessage(chatId, `✅ Series thumbnail updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+          console.error('Error updating series thumbnail:', error);
+          await bot.sendMessage(chatId, '❌ Error updating series thumbnail. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_movie_metadata':
+      case 'editing_series_metadata': {
+        const field = data.metadataField;
+        const { error, value } = parseMetadataValue(field, text.trim() === '-' ? null : text);
+        if (error) {
+          await bot.sendMessage(chatId, `❌ ${error}. Please try again:`);
+          break;
+        }
+        try {
+          const isMovie = state === 'editing_movie_metadata';
+          await updateLibraryDocument(isMovie ? Movie : Series, isMovie ? data.movieId : data.seriesId, botActor(userId), doc => {
+            doc[field] = value;
+          });
+          await bot.sendMessage(chatId,
+            `✅ ${METADATA_FIELDS[field].label} ${value === undefined ? 'cleared' : 'updated'}!`,
+            getMainMenuKeyboard(role)
+          );
+        } catch (error) {
+          console.error(`Error updating ${field}:`, error);
+          await bot.sendMessage(chatId, `❌ Error updating ${METADATA_FIELDS[field].label.toLowerCase()}. Please try again.`, getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      }
+      // ✨ NEW: Handle episode field edits
+      case 'editing_episode_title':
+        try {
+            await updateLibraryDocument(Series, data.seriesId, botActor(userId), series => {
+                findEpisodeForEdit(series, data).title = text.trim();
+            }, { scope: `S${data.seasonNumber}E${data.episodeNumber}` });
+            await bot.sendMessage(chatId, `✅ Episode title updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+            console.error('Error updating episode title:', error);
+            await bot.sendMessage(chatId, '❌ Error updating episode title. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_episode_streaming_url':
+        try {
+            await updateLibraryDocument(Series, data.seriesId, botActor(userId), series => {
+                setPrimaryStreamingUrl(findEpisodeForEdit(series, data), text.trim());
+            }, { scope: `S${data.seasonNumber}E${data.episodeNumber}` });
+            await bot.sendMessage(chatId, `✅ Episode streaming URL updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+            console.error('Error updating episode streaming URL:', error);
+            await bot.sendMessage(chatId, '❌ Error updating episode streaming URL. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_episode_thumbnail':
+        try {
+            await updateLibraryDocument(Series, data.seriesId, botActor(userId), series => {
+                findEpisodeForEdit(series, data).thumbnail = text.trim();
+            }, { scope: `S${data.seasonNumber}E${data.episodeNumber}` });
+            await bot.sendMessage(chatId, `✅ Episode thumbnail updated successfully!`, getMainMenuKeyboard(role));
+        } catch (error) {
+            console.error('Error updating episode thumbnail:', error);
+            await bot.sendMessage(chatId, '❌ Error updating episode thumbnail. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      case 'editing_episode_markers': {
+        const { error, value } = parseEpisodeMarkersInput(text);
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}. Please try again:`);
+            break;
+        }
+        try {
+            const series = await updateLibraryDocument(Series, data.seriesId, botActor(userId), doc => {
+                findEpisodeForEdit(doc, data).set(value);
+            }, { scope: `S${data.seasonNumber}E${data.episodeNumber}` });
+            await bot.sendMessage(chatId,
+                `✅ Episode markers updated!\n\n${describeEpisodeMarkers(findEpisodeForEdit(series, data))}`,
+                getMainMenuKeyboard(role)
+            );
+        } catch (error) {
+            console.error('Error updating episode markers:', error);
+            await bot.sendMessage(chatId, '❌ Error updating episode markers. Please try again.', getMainMenuKeyboard(role));
+        }
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+      }
+      default:
+        await bot.sendMessage(chatId, '❓ I didn\'t understand that. Please use the menu buttons or type /start to restart.', getMainMenuKeyboard(role));
+        userStates.delete(chatId);
+        tempData.delete(chatId);
+        break;
+    }
+    if (userStates.has(chatId) && data && Object.keys(data).length > 0) {
+      tempData.set(chatId, data);
+    }
+  } catch (error) {
+    console.error('❌ Error in conversation flow:', error);
+    await bot.sendMessage(chatId, '❌ An error occurred. Please try again or use /start to restart.', getMainMenuKeyboard(role));
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+  }
+}
+
+const SOURCE_DETAILS_PROMPT =
+  '🏷️ Send the quality, language and label separated by commas (e.g. 1080p, English, Backup host), or - to skip:';
+
+// The movie or episode being edited (sources, subtitles), from the edit draft in tempData.
+async function loadEditTarget(data) {
+  if (data.type === 'movie' && mongoose.isValidObjectId(data.movieId)) {
+    const movie = await Movie.findById(data.movieId);
+    return movie && { doc: movie, item: movie, label: `🎬 "${movie.name}"` };
+  }
+  if (data.type === 'series_episode_edit' && mongoose.isValidObjectId(data.seriesId)) {
+    const series = await Series.findById(data.seriesId);
+    const season = series && series.seasons.find(s => s.seasonNumber === data.seasonNumber);
+    const episode = season && season.episodes.find(e => e.episodeNumber === data.episodeNumber);
+    const scope = `S${data.seasonNumber}E${data.episodeNumber}`;
+    return episode && { doc: series, item: episode, scope, label: `📹 "${series.name}" ${scope}` };
+  }
+  return null;
+}
+
+const describeSource = (source) =>
+  [source.quality, source.format, source.language, source.label].filter(Boolean).join(' • ') || 'Source';
+
+async function sendSourcesMenu(chatId, target) {
+  const sources = target.item.sources.length > 0 ? target.item.sources : [{ url: target.item.streamingUrl }];
+  const lines = sources.map((source, index) => `${index + 1}. ${describeSource(source)}\n   ${source.url}`);
+  const keyboard = sources
+    .map((source, index) => [
+      ...(index > 0 ? [{ text: `⬆️ Move #${index + 1} up`, callback_data: `sources_up_${index}` }] : []),
+      ...(sources.length > 1 ? [{ text: `🗑️ Remove #${index + 1}`, callback_data: `sources_remove_${index}` }] : [])
+    ])
+    .filter(row => row.length > 0);
+  keyboard.push([{ text: '➕ Add Source', callback_data: 'sources_add' }]);
+  keyboard.push([{ text: '❌ Close', callback_data: 'cancel' }]);
+  await bot.sendMessage(chatId, `🎞️ Sources for ${target.label}, tried in this order:\n\n${lines.join('\n\n')}`, {
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// Applies a change to the target's sources, saves it and shows the updated list.
+async function updateSources(chatId, userId, target, change) {
+  const before = snapshotForAudit(target.doc);
+  ensureSources(target.item);
+  change(target.item.sources);
+  normalizeSources(target.item);
+  await saveLibraryDocument(target.doc, botActor(userId), { before, scope: target.scope });
+  await sendSourcesMenu(chatId, target);
+}
+
+async function sendSubtitlesMenu(chatId, target) {
+  const tracks = target.item.subtitles || [];
+  const lines = tracks.map((track, index) => `${index + 1}. ${track.label || track.language} (${track.language})`);
+  const keyboard = tracks.map((track, index) => [{ text: `🗑️ Remove #${index + 1}`, callback_data: `subtitles_remove_${index}` }]);
+  keyboard.push([{ text: '➕ Add Subtitles', callback_data: 'subtitles_add' }]);
+  keyboard.push([{ text: '❌ Close', callback_data: 'cancel' }]);
+  await bot.sendMessage(chatId,
+    `💬 Subtitles for ${target.label}:\n\n${lines.length > 0 ? lines.join('\n') : 'No subtitles yet.'}`,
+    { reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+// Applies a change to the target's subtitle tracks, saves it and shows the updated list.
+async function updateSubtitles(chatId, userId, target, change) {
+  const before = snapshotForAudit(target.doc);
+  if (!target.item.subtitles) target.item.subtitles = [];
+  change(target.item.subtitles);
+  await saveLibraryDocument(target.doc, botActor(userId), { before, scope: target.scope });
+  await sendSubtitlesMenu(chatId, target);
+}
+
+const SUBTITLE_LANGUAGE_PROMPT =
+  '🌐 Send the subtitle language code, optionally followed by a label (e.g. en, or es Spanish (Latin America)):';
+
+async function handleSubtitleDocument(chatId, document, userId, role) {
+  const data = tempData.get(chatId) || {};
+  if (!isSubtitleFile(document.file_name)) {
+    await bot.sendMessage(chatId, '⚠️ Send a .srt or .vtt subtitle file.');
+    return;
+  }
+  if (document.file_size > SUBTITLE_MAX_FILE_BYTES) {
+    await bot.sendMessage(chatId, '⚠️ Subtitle files must be 2 MB or smaller.');
+    return;
+  }
+  const target = await loadEditTarget(data);
+  if (!target) {
+    await bot.sendMessage(chatId, '❌ The movie or episode no longer exists.', getMainMenuKeyboard(role));
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+    return;
+  }
+
+  const { content, error } = parseSubtitleFile(await downloadTelegramFile(document.file_id), document.file_name);
+  if (error) {
+    await bot.sendMessage(chatId, `❌ ${error}\n\nSend another file or press /start to cancel.`);
+    return;
+  }
+  const subtitle = await Subtitle.create({ content, fileName: document.file_name, uploadedBy: userId });
+
+  const { subtitleLanguage: language, subtitleLabel: label, subtitleReturnState: returnState } = data;
+  delete data.subtitleLanguage;
+  delete data.subtitleLabel;
+  delete data.subtitleReturnState;
+  if (returnState) {
+    userStates.set(chatId, returnState);
+  } else {
+    userStates.delete(chatId);
+  }
+  await updateSubtitles(chatId, userId, target, subtitles => {
+    subtitles.push({ subtitleId: subtitle._id, language, label });
+  });
+}
+
+// Looks the draft's name up with the metadata provider and offers the matches. Returns false
+// when there is nothing to pick from, so the caller continues with manual entry.
+async function offerMetadataMatches(chatId, data) {
+  if (!metadataProvider) return false;
+  let matches;
+  try {
+    matches = await metadataProvider.search(data.type === 'movie' ? 'movie' : 'series', data.name);
+  } catch (error) {
+    console.error('❌ Error searching metadata:', error);
+    await bot.sendMessage(chatId, `⚠️ Could not reach ${metadataProvider.name}. Continuing with manual entry.`);
+    return false;
+  }
+  if (matches.length === 0) {
+    await bot.sendMessage(chatId, `ℹ️ No matches on ${metadataProvider.name}. Continuing with manual entry.`);
+    return false;
+  }
+  data.metadataMatches = matches;
+  userStates.set(chatId, 'choosing_metadata_match');
+  await sendMetadataMatches(chatId, data);
+  return true;
+}
+
+async function sendMetadataMatches(chatId, data) {
+  await bot.sendMessage(chatId, `🔎 Matches for "${data.name}" on ${metadataProvider.name}. Pick one to fill in the details:`, {
+    reply_markup: {
+      inline_keyboard: [
+        ...data.metadataMatches.map((match, index) => [{
+          text: `${match.title}${match.year ? ` (${match.year})` : ''}`,
+          callback_data: `metadata_pick_${index}`
+        }]),
+        [{ text: '✍️ Enter Manually', callback_data: 'metadata_manual' }]
+      ]
+    }
+  });
+}
+
+// Moves a new movie/series draft on to the first step that still needs input.
+async function continueDraftAfterName(chatId, data) {
+  if (data.type === 'movie') {
+    if (data.thumbnail) {
+      userStates.set(chatId, 'adding_movie_streaming_url');
+      await bot.sendMessage(chatId, '🔗 Enter the streaming URL (.mp4, .m3u8, etc.):');
+    } else {
+      userStates.set(chatId, 'adding_movie_thumbnail');
+      await bot.sendMessage(chatId, '📸 Enter the movie thumbnail URL (image):');
+    }
+  } else if (data.thumbnail) {
+    await startSeriesEpisodes(chatId, data);
+  } else {
+    userStates.set(chatId, 'adding_series_thumbnail');
+    await bot.sendMessage(chatId, '📸 Enter the series thumbnail URL (image):');
+  }
+}
+
+async function startSeriesEpisodes(chatId, data) {
+  data.seasons = [];
+  if (data.pendingEpisodes && data.pendingEpisodes.length > 0) {
+    userStates.set(chatId, 'filling_episode_urls');
+    await bot.sendMessage(chatId, getEpisodeUrlPrompt(data));
+  } else {
+    userStates.set(chatId, 'adding_season_number');
+    await bot.sendMessage(chatId, '🔢 Enter season number:');
+  }
+}
+
+const getEpisodeUrlPrompt = (data) => {
+  const [next] = data.pendingEpisodes;
+  return `🔗 S${next.seasonNumber}E${next.episodeNumber}: ${next.title} (${data.pendingEpisodes.length} left)\n\n` +
+    'Enter the streaming URL, send skip to leave this episode out, or stop to finish without the remaining episodes.';
+};
+
+const downloadTelegramFile = (fileId) => new Promise((resolve, reject) => {
+  const chunks = [];
+  bot.getFileStream(fileId)
+    .on('data', chunk => chunks.push(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+async function sendImportPreview(chatId, parsed, role, seriesId) {
+  const plan = await buildImportPlan(parsed, seriesId);
+  if (!plan) {
+    userStates.delete(chatId);
+    tempData.delete(chatId);
+    await bot.sendMessage(chatId, '❌ Series not found. Please send the file again.', getMainMenuKeyboard(role));
+    return;
+  }
+  tempData.set(chatId, { type: 'import', import: plan });
+  userStates.set(chatId, 'confirming_import');
+
+  const keyboard = plan.conflicts.length > 0
+    ? [
+      [{ text: '✅ Import New Only', callback_data: 'import_confirm_skip' }],
+      [{ text: '♻️ Import & Overwrite Existing', callback_data: 'import_confirm_overwrite' }]
+    ]
+    : [[{ text: '✅ Import', callback_data: 'import_confirm_skip' }]];
+  keyboard.push([{ text: '❌ Cancel', callback_data: 'cancel' }]);
+
+  await bot.sendMessage(chatId, formatImportPreview(plan), { reply_markup: { inline_keyboard: keyboard } });
+}
+
+async function handleImportDocument(chatId, document, role) {
+  const format = path.extname(document.file_name || '').slice(1).toLowerCase();
+  if (!['csv', 'json'].includes(format)) {
+    await bot.sendMessage(chatId, '⚠️ Send a .csv or .json file to bulk import episodes or movies.');
+    return;
+  }
+  if (document.file_size > IMPORT_MAX_FILE_BYTES) {
+    await bot.sendMessage(chatId, '⚠️ Import files must be 1 MB or smaller.');
+    return;
+  }
+
+  const parsed = parseImportContent((await downloadTelegramFile(document.file_id)).toString('utf8'), format);
+  if (parsed.error) {
+    await bot.sendMessage(chatId, `❌ ${parsed.error}`);
+    return;
+  }
+  if (parsed.items.length === 0) {
+    const details = parsed.errors.slice(0, 10).map(e => `• Row ${e.row}: ${e.error}`).join('\n');
+    await bot.sendMessage(chatId, `❌ No valid rows found.\n\n${details}`);
+    return;
+  }
+
+  if (parsed.kind === 'movies') {
+    await sendImportPreview(chatId, parsed, role);
+    return;
+  }
+
+  if (await Series.countDocuments() === 0) {
+    await bot.sendMessage(chatId, BOT_LISTS.importseries.emptyText, getMainMenuKeyboard(role));
+    return;
+  }
+  tempData.set(chatId, { type: 'import', import: parsed });
+  userStates.set(chatId, 'choosing_import_series');
+  await bot.sendMessage(chatId, `📥 Found ${parsed.items.length} episode(s).`);
+  await sendListPage(chatId, 'importseries', 1, '', 'editor');
+}
+
+async function handleRestoreDocument(chatId, document, userId) {
+  if (document.file_size > RESTORE_MAX_FILE_BYTES) {
+    await bot.sendMessage(chatId, '⚠️ Backup files must be 20 MB or smaller.');
+    return;
+  }
+  const { library, error } = parseLibraryArchive(await downloadTelegramFile(document.file_id));
+  if (error) {
+    await bot.sendMessage(chatId, `❌ ${error}\n\nSend another file or press /start to cancel.`);
+    return;
+  }
+
+  const merge = await restoreLibrary(library, { mode: 'merge', dryRun: true, actor: botActor(userId) });
+  const replace = await restoreLibrary(library, { mode: 'replace', dryRun: true, actor: botActor(userId) });
+  // Only the file reference is kept in the session; the backup is downloaded again on confirmation.
+  tempData.set(chatId, { type: 'restore', fileId: document.file_id, fileName: document.file_name });
+  userStates.set(chatId, 'confirming_restore');
+
+  const errorLines = merge.errors.slice(0, 5).map(e => `• ${e}`);
+  if (merge.errors.length > 5) errorLines.push('• …');
+  await bot.sendMessage(chatId,
+    `🔍 Restore dry run for ${document.file_name}\n` +
+    `📦 Backup from ${library.exportedAt || 'unknown date'}: ${library.movies.length} movie(s), ${library.series.length} series\n\n` +
+    `${formatRestoreReport(merge)}\n\n${formatRestoreReport(replace)}` +
+    (errorLines.length > 0 ? `\n\n❌ Invalid items (ignored):\n${errorLines.join('\n')}` : ''),
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔀 Restore (Merge)', callback_data: 'restore_confirm_merge' }],
+          [{ text: '♻️ Restore (Replace)', callback_data: 'restore_confirm_replace' }],
+          [{ text: '❌ Cancel', callback_data: 'cancel' }]
+        ]
+      }
+    }
+  );
+}
+
+// ================================================================
+// HTTP CACHING
+// ================================================================
+
+// The library version is a counter in Mongo bumped by every movie/series write (see the schema
+// hooks). Public read endpoints derive their ETag from it and the URL, so a client revalidating
+// an unchanged library gets a 304 without the library being queried. The value is re-read at
+// most every LIBRARY_VERSION_REFRESH_MS so writes from other instances are picked up too.
+const LIBRARY_VERSION_REFRESH_MS = 5000;
+const STATS_CACHE_SIZE = 100;
+let libraryVersionRead = null;
+
+const readLibraryVersion = (update) => {
+  const promise = LibraryState.findByIdAndUpdate('library', update, { upsert: true, new: true })
+    .then(state => state.version);
+  libraryVersionRead = { promise, at: Date.now() };
+  promise.catch(() => {
+    libraryVersionRead = null;
+  });
+  return promise;
+};
+
+const getLibraryVersion = () => (libraryVersionRead && Date.now() - libraryVersionRead.at < LIBRARY_VERSION_REFRESH_MS
+  ? libraryVersionRead.promise
+  : readLibraryVersion({ $setOnInsert: { version: 0 } }));
+
+// Reads that start after a write wait for the bumped version, so they never pair the old
+// version with the new data.
+const bumpLibraryVersion = () => {
+  readLibraryVersion({ $inc: { version: 1 } })
+    .catch(error => console.error('❌ Error bumping library version:', error));
+};
+
+const cacheByLibraryVersion = async (req, res, next) => {
+  try {
+    const version = await getLibraryVersion();
+    const urlHash = crypto.createHash('sha1').update(req.originalUrl).digest('hex').slice(0, 16);
+    res.set({ ETag: `"${version}-${urlHash}"`, 'Cache-Control': 'no-cache' });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  } catch (error) {
+    // Without a version the response is still correct, just not cacheable.
+    console.error('❌ Error reading library version:', error);
+  }
+  next();
+};
+
+// Least-recently-used cache on top of Map's insertion order. A function declaration, so the
+// API key and rate limiting sections above can create their caches at load time.
+function createLruCache(maxEntries) {
+  const entries = new Map();
+  return {
+    get: (key) => {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete: (key) => entries.delete(key)
+  };
+}
+
+// Keyed by library version and filters, so a write makes every cached entry unreachable.
+const statsCache = createLruCache(STATS_CACHE_SIZE);
+
+// ================================================================
+// API ENDPOINTS FOR FRONTEND
+// ================================================================
+
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    bot: USE_WEBHOOK ? 'webhook' : 'polling',
+    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+  });
+});
+
+// Sortable by name, year, runtime, addedAt or updatedAt; prefix with "-" for descending.
+const LIBRARY_SORT_FIELDS = ['name', 'year', 'runtime', 'addedAt', 'updatedAt'];
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+
+// Shared filters for /api/movies, /api/series and /api/stats: ?search, ?genre, ?year,
+// ?language, ?contentRating, ?cast and ?sort.
+const buildLibraryListQuery = ({ search, genre, year, language, contentRating, cast, sort }) => {
+  const query = search ? { name: { $regex: escapeRegex(String(search)), $options: 'i' } } : {};
+  if (genre) query.genres = exactMatch(genre);
+  if (language) query.language = exactMatch(language);
+  if (contentRating) query.contentRating = exactMatch(contentRating);
+  if (cast) query.cast = new RegExp(escapeRegex(String(cast).trim()), 'i');
+  if (year) {
+    query.year = parsePositiveInteger(year);
+    if (!query.year) return { error: 'year must be a positive integer' };
+  }
+  if (!sort) return { query, sort: { addedAt: -1, _id: 1 } };
+  const field = String(sort).replace(/^-/, '');
+  if (!LIBRARY_SORT_FIELDS.includes(field)) {
+    return { error: `sort must be one of: ${LIBRARY_SORT_FIELDS.join(', ')}` };
+  }
+  return { query, sort: { [field]: String(sort).startsWith('-') ? -1 : 1, _id: 1 } };
+};
+
+const LIBRARY_LIST_DEFAULT_LIMIT = 50;
+const LIBRARY_LIST_MAX_LIMIT = 100;
+const LIBRARY_DATE_SORT_FIELDS = ['addedAt', 'updatedAt'];
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and _id.
+const encodeListCursor = (doc, field) => Buffer.from(JSON.stringify([doc[field] ?? null, String(doc._id)])).toString('base64url');
+
+const decodeListCursor = (cursor, field) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return {
+      value: value !== null && LIBRARY_DATE_SORT_FIELDS.includes(field) ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset filter for the items after the cursor. Ties on the sort field are broken by _id
+// (always ascending). Missing values sort first ascending and last descending, as MongoDB does.
+const buildCursorFilter = (field, direction, { value, id }) => {
+  const afterTie = { [field]: value, _id: { $gt: id } };
+  if (value === null) {
+    return direction === 1 ? { $or: [afterTie, { [field]: { $ne: null } }] } : afterTie;
+  }
+  const beyond = { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  return { $or: direction === 1 ? [beyond, afterTie] : [beyond, afterTie, { [field]: null }] };
+};
+
+// Link health is only for admins (GET /api/health/links), so public reads leave it out.
+const PUBLIC_LIBRARY_PROJECTION =
+  '-linkHealth -sources.linkHealth -seasons.episodes.linkHealth -seasons.episodes.sources.linkHealth';
+
+// Responds with { items, total, page, pages, limit, nextCursor }. Pages by ?page, or by
+// ?cursor (the nextCursor of the previous response), which stays cheap deep into large
+// libraries and doesn't skip or repeat items when titles are added meanwhile. page is
+// null when paging by cursor.
+const sendLibraryPage = async (Model, req, res, label) => {
+  const { error, query, sort } = buildLibraryListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  const limit = Math.min(parsePositiveInteger(req.query.limit) || LIBRARY_LIST_DEFAULT_LIMIT, LIBRARY_LIST_MAX_LIMIT);
+  const [field, direction] = Object.entries(sort)[0];
+  let filter = query;
+  let page = parsePositiveInteger(req.query.page) || 1;
+  if (req.query.cursor) {
+    const cursor = decodeListCursor(req.query.cursor, field);
+    if (!cursor) return res.status(400).json({ error: 'cursor is invalid' });
+    filter = { $and: [query, buildCursorFilter(field, direction, cursor)] };
+    page = null;
+  }
+  try {
+    const [docs, total] = await Promise.all([
+      Model.find(filter, PUBLIC_LIBRARY_PROJECTION)
+        .sort(sort)
+        .skip(page ? (page - 1) * limit : 0)
+        .limit(limit + 1),
+      Model.countDocuments(query)
+    ]);
+    const items = docs.slice(0, limit);
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / limit)),
+      limit,
+      nextCursor: docs.length > limit ? encodeListCursor(items[items.length - 1], field) : null
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching ${label}:`, error);
+    res.status(500).json({ error: `Failed to fetch ${label}`, details: error.message });
+  }
+};
+
+app.get('/api/movies', cacheByLibraryVersion, (req, res) => sendLibraryPage(Movie, req, res, 'movies'));
+
+app.get('/api/movies/:id', cacheByLibraryVersion, async (req, res) => {
+  try {
+    const movie = await Movie.findById(req.params.id, PUBLIC_LIBRARY_PROJECTION);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    res.json(movie);
+  } catch (error) {
+    console.error('❌ Error fetching movie details:', error);
+    res.status(500).json({ error: 'Failed to fetch movie details', details: error.message });
+  }
+});
+
+app.get('/api/series', cacheByLibraryVersion, (req, res) => sendLibraryPage(Series, req, res, 'series'));
+
+app.get('/api/series/:id', cacheByLibraryVersion, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id, PUBLIC_LIBRARY_PROJECTION);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json(series);
+  } catch (error) {
+    console.error('❌ Error fetching series details:', error);
+    res.status(500).json({ error: 'Failed to fetch series details', details: error.message });
+  }
+});
+
+const sendPlaylist = (res, format, title, entries) => {
+  const { contentType, build } = PLAYLIST_FORMATS[format];
+  res.attachment(getPlaylistFileName(title, format));
+  res.type(contentType).send(build(title, entries));
+};
+
+// Accepts the /api/movies filters (?search, ?genre, ?year, ...) and ?sort.
+app.get('/api/playlists/movies.:format(m3u|xspf)', cacheByLibraryVersion, async (req, res) => {
+  const { error, query, sort } = buildLibraryListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const movies = await Movie.find(query).sort(sort);
+    sendPlaylist(res, req.params.format, 'Movies', getMoviePlaylistEntries(movies));
+  } catch (error) {
+    console.error('❌ Error building movie playlist:', error);
+    res.status(500).json({ error: 'Failed to build playlist', details: error.message });
+  }
+});
+
+app.get('/api/series/:id/playlist.:format(m3u|xspf)', cacheByLibraryVersion, async (req, res) => {
+  try {
+    const series = mongoose.isValidObjectId(req.params.id) && await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    sendPlaylist(res, req.params.format, series.name, getSeriesPlaylistEntries(series));
+  } catch (error) {
+    console.error('❌ Error building series playlist:', error);
+    res.status(500).json({ error: 'Failed to build playlist', details: error.message });
+  }
+});
+
+app.get('/api/subtitles/:id.vtt', async (req, res) => {
+  try {
+    const subtitle = mongoose.isValidObjectId(req.params.id) && await Subtitle.findById(req.params.id);
+    if (!subtitle) {
+      return res.status(404).json({ error: 'Subtitle not found' });
+    }
+    // Subtitle files are never edited in place (a new upload gets a new id), so they cache well.
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('text/vtt; charset=utf-8').send(subtitle.content);
+  } catch (error) {
+    console.error('❌ Error fetching subtitle:', error);
+    res.status(500).json({ error: 'Failed to fetch subtitle', details: error.message });
+  }
+});
+
+// Watch progress: anonymous per-device viewer IDs, shared between devices via a sync link.
+const CONTINUE_WATCHING_LIMIT = 20;
+const PROGRESS_SCAN_LIMIT = 200;
+
+const findEpisode = (series, seasonNumber, episodeNumber) => {
+  const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+  return season && season.episodes.find(e => e.episodeNumber === episodeNumber);
+};
+
+// The episode after a finished one: the next in its season, else the first of the next season.
+const findNextEpisode = (series, seasonNumber, episodeNumber) => {
+  const seasons = [...series.seasons].sort((a, b) => a.seasonNumber - b.seasonNumber);
+  for (const season of seasons) {
+    if (season.seasonNumber < seasonNumber) continue;
+    const next = [...season.episodes]
+      .sort((a, b) => a.episodeNumber - b.episodeNumber)
+      .find(e => season.seasonNumber > seasonNumber || e.episodeNumber > episodeNumber);
+    if (next) return { seasonNumber: season.seasonNumber, episode: next };
+  }
+  return null;
+};
+
+// Latest entry per title, newest first. Finished movies drop out; a finished episode is replaced by the
+// next one (starting from zero) so the row always points at what to watch next.
+const getContinueWatching = async (viewerId) => {
+  const entries = await WatchProgress.find({ viewerId })
+    .sort({ updatedAt: -1 })
+    .limit(PROGRESS_SCAN_LIMIT)
+    .lean();
+  const latest = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.targetType}:${entry.targetId}`;
+    if (!latest.has(key)) latest.set(key, entry);
+  });
+
+  const picked = [...latest.values()].slice(0, CONTINUE_WATCHING_LIMIT * 2);
+  const ids = (type) => picked.filter(e => e.targetType === type).map(e => e.targetId);
+  const [movies, series] = await Promise.all([
+    Movie.find({ _id: { $in: ids('movie') } }),
+    Series.find({ _id: { $in: ids('series') } })
+  ]);
+  const docs = new Map([...movies, ...series].map(doc => [String(doc._id), doc]));
+
+  const items = [];
+  for (const entry of picked) {
+    const doc = docs.get(String(entry.targetId));
+    if (!doc) continue;
+    const item = {
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      name: doc.name,
+      thumbnail: doc.thumbnail,
+      position: entry.position,
+      duration: entry.duration,
+      updatedAt: entry.updatedAt
+    };
+    if (entry.targetType === 'movie') {
+      if (entry.completed) continue;
+    } else {
+      let seasonNumber = entry.seasonNumber;
+      let episode = findEpisode(doc, entry.seasonNumber, entry.episodeNumber);
+      if (entry.completed || !episode) {
+        const next = findNextEpisode(doc, entry.seasonNumber, entry.episodeNumber);
+        if (!next) continue;
+        seasonNumber = next.seasonNumber;
+        episode = next.episode;
+        item.position = 0;
+        item.duration = undefined;
+      }
+      Object.assign(item, {
+        seasonNumber,
+        episodeNumber: episode.episodeNumber,
+        episodeTitle: episode.title,
+        thumbnail: episode.thumbnail || doc.thumbnail
+      });
+    }
+    items.push(item);
+    if (items.length >= CONTINUE_WATCHING_LIMIT) break;
+  }
+  return items;
+};
+
+// Beacons from the player arrive as text/plain (no CORS preflight, and sendBeacon-compatible).
+app.post('/api/progress', express.text({ type: 'text/plain' }), async (req, res) => {
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Request body must be valid JSON' });
+    }
+  }
+  const { error, value } = validateProgressInput(body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const Model = value.targetType === 'movie' ? Movie : Series;
+    if (!await Model.exists({ _id: value.targetId })) {
+      return res.status(404).json({ error: `${value.targetType === 'movie' ? 'Movie' : 'Series'} not found` });
+    }
+    const progress = await WatchProgress.findOneAndUpdate(
+      {
+        viewerId: value.viewerId,
+        targetType: value.targetType,
+        targetId: value.targetId,
+        seasonNumber: value.seasonNumber ?? null,
+        episodeNumber: value.episodeNumber ?? null
+      },
+      {
+        $set: {
+          position: value.position,
+          duration: value.duration,
+          completed: value.completed,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    res.json(progress);
+  } catch (error) {
+    console.error('❌ Error saving watch progress:', error);
+    res.status(500).json({ error: 'Failed to save watch progress', details: error.message });
+  }
+});
+
+// With a target: the saved position(s) for that movie, series or episode. Without: Continue Watching.
+app.get('/api/progress', async (req, res) => {
+  const { viewerId, targetType } = req.query;
+  if (!VIEWER_ID_PATTERN.test(String(viewerId || ''))) {
+    return res.status(400).json({ error: 'viewerId must be 8-64 letters, digits, dashes or underscores' });
+  }
+  try {
+    if (!targetType) {
+      return res.json(await getContinueWatching(viewerId));
+    }
+    const { error, value } = validateProgressTarget(req.query, { requireEpisode: false });
+    if (error) return res.status(400).json({ error });
+    const query = { viewerId, targetType, targetId: value.targetId };
+    if (targetType === 'movie' || value.episodeNumber) {
+      query.seasonNumber = value.seasonNumber ?? null;
+      query.episodeNumber = value.episodeNumber ?? null;
+    }
+    res.json(await WatchProgress.find(query).sort({ updatedAt: -1 }));
+  } catch (error) {
+    console.error('❌ Error fetching watch progress:', error);
+    res.status(500).json({ error: 'Failed to fetch watch progress', details: error.message });
+  }
+});
+
+app.get('/api/stats', cacheByLibraryVersion, async (req, res) => {
+  const { error, query } = buildLibraryListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { search, genre, year, language, contentRating, cast } = req.query;
+    const cacheKey = JSON.stringify([await getLibraryVersion(), search, genre, year, language, contentRating, cast]);
+    const cached = statsCache.get(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+    // Episodes are counted per series from the season array sizes rather than by unwinding.
+    const [movieCount, seriesCount, totalEpisodes] = await Promise.all([
+      Movie.countDocuments(query),
+      Series.countDocuments(query),
+      Series.aggregate([
+        { $match: query },
+        { $project: { episodes: { $sum: { $map: { input: '$seasons', in: { $size: '$$this.episodes' } } } } } },
+        { $group: { _id: null, totalEpisodes: { $sum: '$episodes' } } }
+      ])
+    ]);
+    const episodeCount = totalEpisodes[0]?.totalEpisodes || 0;
+    const stats = {
+      movies: movieCount,
+      series: seriesCount,
+      episodes: episodeCount,
+      total: movieCount + seriesCount
+    };
+    statsCache.set(cacheKey, stats);
+    res.json(stats);
+  } catch (error) {
+    console.error('❌ Error fetching statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
+// ================================================================
+// WRITE API (requires an API key)
+// ================================================================
+
+const loadSeriesForWrite = async (req, res) => {
+  const series = mongoose.isValidObjectId(req.params.id) ? await Series.findById(req.params.id) : null;
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+  }
+  return series;
+};
+
+const loadSeasonForWrite = async (req, res) => {
+  const series = await loadSeriesForWrite(req, res);
+  if (!series) return {};
+  const seasonNumber = parsePositiveInteger(req.params.seasonNumber);
+  const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
+  if (!season) {
+    res.status(404).json({ error: 'Season not found' });
+    return {};
+  }
+  return { series, season };
+};
+
+const loadEpisodeForWrite = async (req, res) => {
+  const { series, season } = await loadSeasonForWrite(req, res);
+  if (!season) return {};
+  const episodeNumber = parsePositiveInteger(req.params.episodeNumber);
+  const episode = season.episodes.find(e => e.episodeNumber === episodeNumber);
+  if (!episode) {
+    res.status(404).json({ error: 'Episode not found' });
+    return {};
+  }
+  return { series, season, episode };
+};
+
+// PUT replaces the whole resource, so metadata left out of the body is cleared.
+const clearMissingMetadata = (doc, value) => {
+  Object.keys(METADATA_FIELDS)
+    .filter(field => !Object.prototype.hasOwnProperty.call(value, field))
+    .forEach(field => doc.set(field, undefined));
+};
+
+// Sets a validated movie/episode update. A PUT without sources drops them; a bare streamingUrl
+// change replaces the first source.
+const applySourcesUpdate = (item, value, partial) => {
+  if (!partial && value.sources === undefined) item.sources = [];
+  item.set(value);
+  if (value.sources === undefined && value.streamingUrl !== undefined) {
+    setPrimaryStreamingUrl(item, value.streamingUrl);
+  }
+};
+
+const sortSeasons = (series) => {
+  series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+};
+
+const sortEpisodes = (season) => {
+  season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+};
+
+// Movies
+
+app.post('/api/movies', requireApiKey, async (req, res) => {
+  const { error, value } = validateMovieInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const movie = await saveLibraryDocument(new Movie({ ...value, addedBy: req.apiKey.createdBy }), apiActor(req));
+    res.status(201).json(movie);
+  } catch (error) {
+    console.error('❌ Error creating movie:', error);
+    res.status(500).json({ error: 'Failed to create movie', details: error.message });
+  }
+});
+
+const updateMovieHandler = (partial) => async (req, res) => {
+  const { error, value } = validateMovieInput(req.body, { partial });
+  if (error) return res.status(400).json({ error });
+  try {
+    const movie = await updateLibraryDocument(Movie, req.params.id, apiActor(req), doc => {
+      if (!partial) clearMissingMetadata(doc, value);
+      applySourcesUpdate(doc, value, partial);
+    });
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    res.json(movie);
+  } catch (error) {
+    console.error('❌ Error updating movie:', error);
+    res.status(500).json({ error: 'Failed to update movie', details: error.message });
+  }
+};
+
+app.put('/api/movies/:id', requireApiKey, updateMovieHandler(false));
+app.patch('/api/movies/:id', requireApiKey, updateMovieHandler(true));
+
+app.delete('/api/movies/:id', requireApiKey, async (req, res) => {
+  try {
+    const trashItem = await moveToTrash({ kind: 'movie', id: req.params.id }, apiActor(req));
+    if (!trashItem) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    res.json(trashItem);
+  } catch (error) {
+    console.error('❌ Error deleting movie:', error);
+    res.status(500).json({ error: 'Failed to delete movie', details: error.message });
+  }
+});
+
+// Series
+
+app.post('/api/series', requireApiKey, async (req, res) => {
+  const { error, value } = validateSeriesInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const series = new Series({ ...value, addedBy: req.apiKey.createdBy });
+    sortSeasons(series);
+    series.seasons.forEach(sortEpisodes);
+    await saveLibraryDocument(series, apiActor(req));
+    res.status(201).json(series);
+  } catch (error) {
+    console.error('❌ Error creating series:', error);
+    res.status(500).json({ error: 'Failed to create series', details: error.message });
+  }
+});
+
+const updateSeriesHandler = (partial) => async (req, res) => {
+  const { error, value } = validateSeriesInput(req.body, { partial });
+  if (error) return res.status(400).json({ error });
+  try {
+    const series = await loadSeriesForWrite(req, res);
+    if (!series) return;
+    const before = snapshotForAudit(series);
+    if (!partial) clearMissingMetadata(series, value);
+    series.set(value);
+    sortSeasons(series);
+    series.seasons.forEach(sortEpisodes);
+    await saveLibraryDocument(series, apiActor(req), { before });
+    res.json(series);
+  } catch (error) {
+    console.error('❌ Error updating series:', error);
+    res.status(500).json({ error: 'Failed to update series', details: error.message });
+  }
+};
+
+app.put('/api/series/:id', requireApiKey, updateSeriesHandler(false));
+app.patch('/api/series/:id', requireApiKey, updateSeriesHandler(true));
+
+app.delete('/api/series/:id', requireApiKey, async (req, res) => {
+  try {
+    const trashItem = await moveToTrash({ kind: 'series', id: req.params.id }, apiActor(req));
+    if (!trashItem) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json(trashItem);
+  } catch (error) {
+    console.error('❌ Error deleting series:', error);
+    res.status(500).json({ error: 'Failed to delete series', details: error.message });
+  }
+});
+
+// Seasons
+
+app.post('/api/series/:id/seasons', requireApiKey, async (req, res) => {
+  const { error, value } = validateSeasonInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const series = await loadSeriesForWrite(req, res);
+    if (!series) return;
+    if (series.seasons.some(s => s.seasonNumber === value.seasonNumber)) {
+      return res.status(409).json({ error: `Season ${value.seasonNumber} already exists` });
+    }
+    const before = snapshotForAudit(series);
+    series.seasons.push(value);
+    sortSeasons(series);
+    series.seasons.forEach(sortEpisodes);
+    await saveLibraryDocument(series, apiActor(req), { before, scope: `Season ${value.seasonNumber}` });
+    res.status(201).json(series.seasons.find(s => s.seasonNumber === value.seasonNumber));
+  } catch (error) {
+    console.error('❌ Error creating season:', error);
+    res.status(500).json({ error: 'Failed to create season', details: error.message });
+  }
+});
+
+const updateSeasonHandler = (partial) => async (req, res) => {
+  const { error, value } = validateSeasonInput(req.body, { partial });
+  if (error) return res.status(400).json({ error });
+  try {
+    const { series, season } = await loadSeasonForWrite(req, res);
+    if (!season) return;
+    if (value.seasonNumber !== undefined && value.seasonNumber !== season.seasonNumber &&
+        series.seasons.some(s => s.seasonNumber === value.seasonNumber)) {
+      return res.status(409).json({ error: `Season ${value.seasonNumber} already exists` });
+    }
+    const before = snapshotForAudit(series);
+    const scope = `Season ${season.seasonNumber}`;
+    season.set(value);
+    sortSeasons(series);
+    sortEpisodes(season);
+    await saveLibraryDocument(series, apiActor(req), { before, scope });
+    res.json(season);
+  } catch (error) {
+    console.error('❌ Error updating season:', error);
+    res.status(500).json({ error: 'Failed to update season', details: error.message });
+  }
+};
+
+app.put('/api/series/:id/seasons/:seasonNumber', requireApiKey, updateSeasonHandler(false));
+app.patch('/api/series/:id/seasons/:seasonNumber', requireApiKey, updateSeasonHandler(true));
+
+app.delete('/api/series/:id/seasons/:seasonNumber', requireApiKey, async (req, res) => {
+  try {
+    const { season } = await loadSeasonForWrite(req, res);
+    if (!season) return;
+    const trashItem = await moveToTrash(
+      { kind: 'season', id: req.params.id, seasonNumber: season.seasonNumber },
+      apiActor(req)
+    );
+    res.json(trashItem);
+  } catch (error) {
+    console.error('❌ Error deleting season:', error);
+    res.status(500).json({ error: 'Failed to delete season', details: error.message });
+  }
+});
+
+// Episodes
+
+app.post('/api/series/:id/seasons/:seasonNumber/episodes', requireApiKey, async (req, res) => {
+  const { error, value } = validateEpisodeInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { series, season } = await loadSeasonForWrite(req, res);
+    if (!season) return;
+    if (season.episodes.some(e => e.episodeNumber === value.episodeNumber)) {
+      return res.status(409).json({
+        error: `Episode ${value.episodeNumber} already exists in Season ${season.seasonNumber}`
+      });
+    }
+    const before = snapshotForAudit(series);
+    season.episodes.push(value);
+    sortEpisodes(season);
+    await saveLibraryDocument(series, apiActor(req), {
+      before, scope: `S${season.seasonNumber}E${value.episodeNumber}`
+    });
+    res.status(201).json(season.episodes.find(e => e.episodeNumber === value.episodeNumber));
+  } catch (error) {
+    console.error('❌ Error creating episode:', error);
+    res.status(500).json({ error: 'Failed to create episode', details: error.message });
+  }
+});
+
+const updateEpisodeHandler = (partial) => async (req, res) => {
+  const { error, value } = validateEpisodeInput(req.body, { partial });
+  if (error) return res.status(400).json({ error });
+  try {
+    const { series, season, episode } = await loadEpisodeForWrite(req, res);
+    if (!episode) return;
+    if (value.episodeNumber !== undefined && value.episodeNumber !== episode.episodeNumber &&
+        season.episodes.some(e => e.episodeNumber === value.episodeNumber)) {
+      return res.status(409).json({
+        error: `Episode ${value.episodeNumber} already exists in Season ${season.seasonNumber}`
+      });
+    }
+    const before = snapshotForAudit(series);
+    const scope = `S${season.seasonNumber}E${episode.episodeNumber}`;
+    if (!partial && value.thumbnail === undefined) {
+      episode.thumbnail = undefined;
+    }
+    if (!partial) {
+      EPISODE_MARKER_FIELDS.filter(field => !(field in value)).forEach(field => { episode[field] = undefined; });
+    }
+    applySourcesUpdate(episode, value, partial);
+    const markerError = checkEpisodeMarkers(episode);
+    if (markerError) return res.status(400).json({ error: markerError });
+    sortEpisodes(season);
+    await saveLibraryDocument(series, apiActor(req), { before, scope });
+    res.json(episode);
+  } catch (error) {
+    console.error('❌ Error updating episode:', error);
+    res.status(500).json({ error: 'Failed to update episode', details: error.message });
+  }
+};
+
+app.put('/api/series/:id/seasons/:seasonNumber/episodes/:episodeNumber', requireApiKey, updateEpisodeHandler(false));
+app.patch('/api/series/:id/seasons/:seasonNumber/episodes/:episodeNumber', requireApiKey, updateEpisodeHandler(true));
+
+app.delete('/api/series/:id/seasons/:seasonNumber/episodes/:episodeNumber', requireApiKey, async (req, res) => {
+  try {
+    const { season, episode } = await loadEpisodeForWrite(req, res);
+    if (!episode) return;
+    const trashItem = await moveToTrash(
+      { kind: 'episode', id: req.params.id, seasonNumber: season.seasonNumber, episodeNumber: episode.episodeNumber },
+      apiActor(req)
+    );
+    res.json(trashItem);
+  } catch (error) {
+    console.error('❌ Error deleting episode:', error);
+    res.status(500).json({ error: 'Failed to delete episode', details: error.message });
+  }
+});
+
+// Audit log. Filters: targetType, targetId, action, source, actorId, title, since, until.
+// Newest first; ?limit (default 50, max 200) and ?page.
+app.get('/api/audit', requireApiKey, async (req, res) => {
+  const { targetType, targetId, action, source, actorId, title, since, until } = req.query;
+  const limit = Math.min(parsePositiveInteger(req.query.limit) || 50, AUDIT_API_MAX_LIMIT);
+  const page = parsePositiveInteger(req.query.page) || 1;
+  if (targetId !== undefined && !mongoose.isValidObjectId(targetId)) {
+    return res.status(400).json({ error: 'targetId must be a valid id' });
+  }
+  const sinceDate = since !== undefined ? new Date(since) : null;
+  const untilDate = until !== undefined ? new Date(until) : null;
+  if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+    return res.status(400).json({ error: 'since and until must be valid dates' });
+  }
+  try {
+    const filter = title ? await buildAuditTitleFilter(title) : {};
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    if (source) filter['actor.source'] = source;
+    if (actorId) filter['actor.userId'] = Number(actorId);
+    if (sinceDate || untilDate) {
+      filter.createdAt = {};
+      if (sinceDate) filter.createdAt.$gte = sinceDate;
+      if (untilDate) filter.createdAt.$lte = untilDate;
+    }
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    res.json(entries);
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+  }
+});
+
+// Link health
+
+// Broken links from the last background check. POST .../check runs a check now and waits for it.
+app.get('/api/health/links', requireApiKey, async (req, res) => {
+  try {
+    const links = await getBrokenLinks();
+    res.json({ lastCheck: lastLinkCheck, running: Boolean(linkCheckRun), total: links.length, links });
+  } catch (error) {
+    console.error('❌ Error fetching link health:', error);
+    res.status(500).json({ error: 'Failed to fetch link health', details: error.message });
+  }
+});
 
-        const series = await Series.findById(seriesId);
-        if (!series) {
-          await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard());
-          return;
-        }
-        const selectedSeason = series.seasons.find(s => s.seasonNumber === seasonNumber);
-        if (!selectedSeason) {
-            await bot.sendMessage(chatId, '❌ Season not found. Please try again.', getMainMenuKeyboard());
-            return;
-        }
-        tempData.set(chatId, {
-            type: 'series',
-            seriesId: seriesId,
-            name: series.name,
-            thumbnail: series.thumbnail,
-            seasons: series.seasons,
-            currentSeason: selectedSeason
-        });
+app.post('/api/health/links/check', requireApiKey, async (req, res) => {
+  try {
+    const result = await runLinkHealthCheck();
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error checking links:', error);
+    res.status(500).json({ error: 'Failed to check links', details: error.message });
+  }
+});
 
-        // ✨ MODIFIED: Offer options to add a new episode or edit an existing one
-        const episodeCount = selectedSeason.episodes.length;
-        let keyboard = [[{ text: '➕ Add New Episode', callback_data: `start_add_episode` }]];
-        if (episodeCount > 0) {
-            keyboard.push([{ text: `✍️ Edit ${episodeCount} Existing Episode${episodeCount > 1 ? 's' : ''}`, callback_data: `start_edit_episodes_${seriesId}_${seasonNumber}` }]);
-        }
+// Notifications
 
-        await bot.sendMessage(chatId, `📺 *Season ${seasonNumber} - ${series.name}*\n\nWhat would you like to do?`, {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: keyboard
-          }
-        });
-    } else if (data === 'start_add_episode') {
-        const userData = tempData.get(chatId);
-        if (!userData || !userData.currentSeason) {
-            await bot.sendMessage(chatId, '❌ No series or season in progress. Please start over.', getMainMenuKeyboard());
-            userStates.delete(chatId);
-            tempData.delete(chatId);
-            return;
-        }
-        userStates.set(chatId, 'adding_episode_number');
-        await bot.sendMessage(chatId, `📺 Season ${userData.currentSeason.seasonNumber} - Enter episode number:`);
-    } else if (data.startsWith('start_edit_episodes_')) {
-        const parts = data.split('_');
-        const seriesId = parts[3];
-        const seasonNumber = parseInt(parts[4]);
-        const series = await Series.findById(seriesId);
-        if (!series) {
-            await bot.sendMessage(chatId, '❌ Series not found. Please try again.', getMainMenuKeyboard());
-            return;
-        }
-        const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
-        if (!season || !season.episodes || season.episodes.length === 0) {
-            await bot.sendMessage(chatId, '❌ No episodes to edit in this season.', getMainMenuKeyboard());
-            return;
-        }
+// Broadcast queue status plus the most recent failed/blocked deliveries.
+app.get('/api/notifications', requireApiKey, async (req, res) => {
+  try {
+    const [counts, problems, subscribers] = await Promise.all([
+      NotificationDelivery.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      NotificationDelivery.find({ status: { $in: ['failed', 'blocked'] } }).sort({ createdAt: -1 }).limit(50),
+      Subscription.countDocuments({ blocked: { $ne: true } })
+    ]);
+    res.json({
+      channel: ANNOUNCE_CHANNEL_ID || null,
+      subscribers,
+      deliveries: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      problems
+    });
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications', details: error.message });
+  }
+});
 
-        // ✨ NEW: Display a keyboard of episodes to edit
-        const episodeKeyboard = season.episodes.sort((a,b) => a.episodeNumber - b.episodeNumber).map(ep => [{
-            text: `E${ep.episodeNumber}: ${ep.title}`,
-            callback_data: `edit_episode_field_${seriesId}_${seasonNumber}_${ep.episodeNumber}`
-        }]);
+// Trash
 
-        await bot.sendMessage(chatId, `✍️ *Select an episode to edit in Season ${seasonNumber}:*`, {
-            parse_mode: 'Markdown',
-            reply_markup: { inline_keyboard: episodeKeyboard }
-        });
-    } else if (data.startsWith('edit_episode_field_')) {
-        const parts = data.split('_');
-        const seriesId = parts[3];
-        const seasonNumber = parseInt(parts[4]);
-        const episodeNumber = parseInt(parts[5]);
+app.get('/api/trash', requireApiKey, async (req, res) => {
+  try {
+    const items = await TrashItem.find().sort({ deletedAt: -1 });
+    res.json(items);
+  } catch (error) {
+    console.error('❌ Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash', details: error.message });
+  }
+});
 
-        const series = await Series.findById(seriesId);
-        if (!series) {
-            await bot.sendMessage(chatId, '❌ Series not found.', getMainMenuKeyboard());
-            return;
-        }
-        const season = series.seasons.find(s => s.seasonNumber === seasonNumber);
-        const episode = season?.episodes.find(ep => ep.episodeNumber === episodeNumber);
-        if (!episode) {
-            await bot.sendMessage(chatId, '❌ Episode not found.', getMainMenuKeyboard());
-            return;
-        }
+app.post('/api/trash/:id/restore', requireApiKey, async (req, res) => {
+  try {
+    const { error, trashItem } = await restoreFromTrash(req.params.id, apiActor(req));
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.json(trashItem);
+  } catch (error) {
+    console.error('❌ Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore from trash', details: error.message });
+  }
+});
 
-        tempData.set(chatId, {
-            type: 'series_episode_edit',
-            seriesId: seriesId,
-            seasonNumber: seasonNumber,
-            episodeNumber: episodeNumber,
-            currentEpisode: episode
-        });
+// Bulk import. Accepts { format: 'csv'|'json', content } or { items: [...] } as JSON, or a raw
+// text/csv body. Episode imports need a seriesId; pass dryRun to only get the preview.
+app.post('/api/import', requireApiKey, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  const isRawCsv = typeof req.body === 'string';
+  const options = isRawCsv ? req.query : { ...req.query, ...req.body };
+  const overwrite = options.overwrite === true || options.overwrite === 'true';
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
 
-        await bot.sendMessage(chatId,
-            `✍️ *Editing Episode S${seasonNumber}E${episodeNumber}: ${episode.title}*\n\n` +
-            `What would you like to edit?`,
-            {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '✍️ Edit Title', callback_data: 'edit_field_episode_title' }],
-                        [{ text: '🔗 Edit Streaming URL', callback_data: 'edit_field_episode_streaming_url' }],
-                        [{ text: '❌ Cancel', callback_data: 'cancel' }]
-                    ]
-                }
-            }
-        );
-    } else if (data === 'edit_field_episode_title') {
-        userStates.set(chatId, 'editing_episode_title');
-        await bot.sendMessage(chatId, `✍️ Enter the new episode title:`);
-    } else if (data === 'edit_field_episode_streaming_url') {
-        userStates.set(chatId, 'editing_episode_streaming_url');
-        await bot.sendMessage(chatId, `🔗 Enter the new streaming URL:`);
-    } else if (data === 'add_another_episode') {
-      const userData = tempData.get(chatId);
-      if (userData && userData.currentSeason) {
-        userStates.set(chatId, 'adding_episode_number');
-        await bot.sendMessage(chatId, `📺 Season ${userData.currentSeason.seasonNumber} - Enter next episode number:`);
-      } else {
-        await bot.sendMessage(chatId, '❌ No series or season in progress. Please start over.', getMainMenuKeyboard());
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-      }
-    } else if (data === 'add_new_season') {
-      userStates.set(chatId, 'adding_season_number');
-      await bot.sendMessage(chatId, '🔢 Enter new season number:');
-    } else if (data === 'finish_series') {
-      const userData = tempData.get(chatId);
-      if (!userData || userData.type !== 'series') {
-          await bot.sendMessage(chatId, '❌ No series in progress. Please start over.', getMainMenuKeyboard());
-          userStates.delete(chatId);
-          tempData.delete(chatId);
-          return;
-      }
-      try {
-        if (userData.seriesId) {
-          await Series.findByIdAndUpdate(userData.seriesId, { seasons: userData.seasons });
-          await bot.sendMessage(chatId, `✅ Series "${userData.name}" updated successfully!`, getMainMenuKeyboard());
-        } else {
-          const series = new Series({
-            name: userData.name,
-            thumbnail: userData.thumbnail,
-            seasons: userData.seasons,
-            addedBy: callbackQuery.from.id
-          });
-          await series.save();
-          await bot.sendMessage(chatId, `✅ Series "${userData.name}" created with ${userData.seasons.length} season(s)!`, getMainMenuKeyboard());
+  let parsed;
+  if (isRawCsv) {
+    parsed = parseImportContent(req.body, 'csv');
+  } else if (Array.isArray(options.items)) {
+    parsed = options.items.length > 0 ? validateImportRows(options.items) : { error: 'items must not be empty' };
+  } else if (typeof options.content === 'string') {
+    parsed = parseImportContent(options.content, options.format);
+  } else {
+    parsed = { error: 'Provide items, or content with a format of csv or json' };
+  }
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (parsed.items.length === 0) {
+    return res.status(400).json({ error: 'No valid rows found', errors: parsed.errors });
+  }
+  if (parsed.kind === 'episodes' && !mongoose.isValidObjectId(options.seriesId)) {
+    return res.status(400).json({ error: 'seriesId is required for episode imports' });
+  }
+
+  try {
+    const plan = await buildImportPlan(parsed, options.seriesId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    const { items, ...preview } = plan;
+    if (dryRun) {
+      return res.json({ dryRun: true, total: items.length, ...preview });
+    }
+    const result = await applyImport(plan, { overwrite, actor: apiActor(req) });
+    res.json({ dryRun: false, kind: plan.kind, ...result, errors: plan.errors });
+  } catch (error) {
+    console.error('❌ Error importing:', error);
+    res.status(500).json({ error: 'Failed to import', details: error.message });
+  }
+});
+
+app.get('/api/export', requireApiKey, async (req, res) => {
+  try {
+    const { buffer, fileName } = await createLibraryArchive();
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error exporting library:', error);
+    res.status(500).json({ error: 'Failed to export library', details: error.message });
+  }
+});
+
+// Restore from a backup zip (application/zip body) or the library JSON itself.
+// ?mode=merge|replace, ?dryRun=true to only get the report. Replace only writes when called with
+// ?confirm=true; without it the request is a dry run.
+app.post('/api/restore', requireApiKey, express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }), async (req, res) => {
+  const mode = req.query.mode || 'merge';
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be merge or replace' });
+  }
+  const { library, error } = Buffer.isBuffer(req.body)
+    ? parseLibraryArchive(req.body)
+    : parseLibraryArchive(Buffer.from(JSON.stringify(req.body || {})));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const confirmRequired = mode === 'replace' && req.query.confirm !== 'true';
+    const result = await restoreLibrary(library, {
+      mode,
+      dryRun: req.query.dryRun === 'true' || confirmRequired,
+      actor: apiActor(req)
+    });
+    res.json(confirmRequired ? { ...result, confirmRequired: true } : result);
+  } catch (error) {
+    console.error('❌ Error restoring library:', error);
+    res.status(500).json({ error: 'Failed to restore library', details: error.message });
+  }
+});
+
+// ================================================================
+// FEEDS
+// ================================================================
+
+// RSS 2.0, Atom and JSON Feed of recently added titles. Movies are one entry each; episodes
+// added in the same save (e.g. a whole season from the bot) are grouped into one entry.
+const FEED_ITEM_LIMIT = 50;
+const FEED_MAX_AGE_SECONDS = 300;
+const FEED_FORMATS = {
+  xml: { contentType: 'application/rss+xml; charset=utf-8', build: (feed) => buildRssFeed(feed) },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: (feed) => buildAtomFeed(feed) },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: (feed) => buildJsonFeed(feed) }
+};
+
+// Episodes saved before episodes had their own addedAt take their series' date, so they
+// don't all show up as new.
+const backfillEpisodeDates = async () => {
+  try {
+    const stale = await Series.find({ 'seasons.episodes': { $elemMatch: { addedAt: { $exists: false } } } }, 'addedAt').lean();
+    for (const series of stale) {
+      await Series.updateOne(
+        { _id: series._id },
+        { $set: { 'seasons.$[].episodes.$[episode].addedAt': series.addedAt || new Date(0) } },
+        { arrayFilters: [{ 'episode.addedAt': { $exists: false } }], skipLibraryVersion: true }
+      );
+    }
+    if (stale.length > 0) {
+      // One bump for the whole backfill, since the dates show up in the feeds.
+      bumpLibraryVersion();
+      console.log(`🗓️ Backfilled episode dates for ${stale.length} series`);
+    }
+  } catch (error) {
+    console.error('❌ Error backfilling episode dates:', error);
+  }
+};
+
+const getServerBaseUrl = (req) => PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+const getImageType = (url) => {
+  const extension = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return { png: 'image/png', webp: 'image/webp', gif: 'image/gif' }[String(extension).toLowerCase()] || 'image/jpeg';
+};
+
+// Groups of episodes added together, newest first: [{ series, addedAt, episodes }].
+const getRecentEpisodeGroups = async (seriesId) => {
+  const groups = await Series.aggregate([
+    ...(seriesId ? [{ $match: { _id: new mongoose.Types.ObjectId(seriesId) } }] : []),
+    { $unwind: '$seasons' },
+    { $unwind: '$seasons.episodes' },
+    {
+      $group: {
+        _id: { series: '$_id', addedAt: '$seasons.episodes.addedAt' },
+        name: { $first: '$name' },
+        thumbnail: { $first: '$thumbnail' },
+        description: { $first: '$description' },
+        episodes: {
+          $push: {
+            seasonNumber: '$seasons.seasonNumber',
+            episodeNumber: '$seasons.episodes.episodeNumber',
+            title: '$seasons.episodes.title',
+            thumbnail: '$seasons.episodes.thumbnail'
+          }
         }
-      } catch (error) {
-        console.error('Error saving series:', error);
-        await bot.sendMessage(chatId, '❌ Error saving series. Please try again.', getMainMenuKeyboard());
       }
-      userStates.delete(chatId);
-      tempData.delete(chatId);
-    } else if (data === 'cancel') {
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        await bot.sendMessage(chatId, 'Operation canceled.', getMainMenuKeyboard());
+    },
+    { $sort: { '_id.addedAt': -1 } },
+    { $limit: FEED_ITEM_LIMIT }
+  ]);
+  return groups.map(group => ({
+    series: { _id: group._id.series, name: group.name, thumbnail: group.thumbnail, description: group.description },
+    addedAt: group._id.addedAt || new Date(0),
+    episodes: group.episodes.sort((a, b) => a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber)
+  }));
+};
+
+const toMovieFeedEntry = (movie) => ({
+  id: `movtv:movie:${movie._id}`,
+  title: movie.year ? `${movie.name} (${movie.year})` : movie.name,
+  link: getFrontendLink({ movie: movie._id }),
+  summary: movie.description || `New movie: ${movie.name}`,
+  image: movie.thumbnail,
+  date: movie.addedAt
+});
+
+const toEpisodeFeedEntry = ({ series, addedAt, episodes }) => {
+  const [first] = episodes;
+  const single = episodes.length === 1;
+  return {
+    id: `movtv:series:${series._id}:${addedAt.getTime()}`,
+    title: single
+      ? `${series.name} — ${formatEpisodeCode(first)}: ${first.title}`
+      : `${series.name} — ${episodes.length} new episodes`,
+    link: getFrontendLink(single
+      ? { series: series._id, season: first.seasonNumber, episode: first.episodeNumber }
+      : { series: series._id }),
+    summary: episodes.map(e => `${formatEpisodeCode(e)}: ${e.title}`).join('\n'),
+    image: (single && first.thumbnail) || series.thumbnail,
+    date: addedAt
+  };
+};
+
+// { title, description, link, entries } for the whole library, or one series.
+const buildFeed = async (seriesId) => {
+  if (seriesId) {
+    const series = mongoose.isValidObjectId(seriesId) && await Series.findById(seriesId, 'name description').lean();
+    if (!series) return null;
+    const groups = await getRecentEpisodeGroups(seriesId);
+    return {
+      title: `${series.name} — new episodes`,
+      description: series.description || `New episodes of ${series.name}`,
+      link: getFrontendLink({ series: series._id }),
+      entries: groups.map(toEpisodeFeedEntry)
+    };
+  }
+  const [movies, groups] = await Promise.all([
+    Movie.find().sort({ addedAt: -1 }).limit(FEED_ITEM_LIMIT).lean(),
+    getRecentEpisodeGroups()
+  ]);
+  return {
+    title: 'Media Manager — recently added',
+    description: 'New movies and episodes in the library',
+    link: FRONTEND_URL,
+    entries: [...movies.map(toMovieFeedEntry), ...groups.map(toEpisodeFeedEntry)]
+      .sort((a, b) => b.date - a.date)
+      .slice(0, FEED_ITEM_LIMIT)
+  };
+};
+
+const buildRssFeed = ({ title, description, link, selfUrl, updated, entries }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+  '  <channel>',
+  `    <title>${escapePlaylistXml(title)}</title>`,
+  `    <link>${escapePlaylistXml(link)}</link>`,
+  `    <description>${escapePlaylistXml(description)}</description>`,
+  `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+  `    <atom:link href="${escapePlaylistXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  ...entries.map(entry => [
+    '    <item>',
+    `      <title>${escapePlaylistXml(entry.title)}</title>`,
+    `      <link>${escapePlaylistXml(entry.link)}</link>`,
+    `      <guid isPermaLink="false">${escapePlaylistXml(entry.id)}</guid>`,
+    `      <pubDate>${entry.date.toUTCString()}</pubDate>`,
+    `      <description>${escapePlaylistXml(entry.summary)}</description>`,
+    ...(entry.image ? [
+      `      <enclosure url="${escapePlaylistXml(entry.image)}" length="0" type="${getImageType(entry.image)}"/>`,
+      `      <media:thumbnail url="${escapePlaylistXml(entry.image)}"/>`
+    ] : []),
+    '    </item>'
+  ].join('\n')),
+  '  </channel>',
+  '</rss>'
+].join('\n') + '\n';
+
+const buildAtomFeed = ({ title, description, link, selfUrl, updated, entries }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `  <id>${escapePlaylistXml(selfUrl)}</id>`,
+  `  <title>${escapePlaylistXml(title)}</title>`,
+  `  <subtitle>${escapePlaylistXml(description)}</subtitle>`,
+  `  <updated>${updated.toISOString()}</updated>`,
+  `  <link rel="self" href="${escapePlaylistXml(selfUrl)}"/>`,
+  `  <link rel="alternate" href="${escapePlaylistXml(link)}"/>`,
+  '  <author><name>Media Manager</name></author>',
+  ...entries.map(entry => [
+    '  <entry>',
+    `    <id>urn:${escapePlaylistXml(entry.id)}</id>`,
+    `    <title>${escapePlaylistXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapePlaylistXml(entry.link)}"/>`,
+    `    <published>${entry.date.toISOString()}</published>`,
+    `    <updated>${entry.date.toISOString()}</updated>`,
+    `    <summary>${escapePlaylistXml(entry.summary)}</summary>`,
+    ...(entry.image ? [`    <link rel="enclosure" type="${getImageType(entry.image)}" href="${escapePlaylistXml(entry.image)}"/>`] : []),
+    '  </entry>'
+  ].join('\n')),
+  '</feed>'
+].join('\n') + '\n';
+
+const buildJsonFeed = ({ title, description, link, selfUrl, entries }) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title,
+  description,
+  home_page_url: link,
+  feed_url: selfUrl,
+  items: entries.map(entry => ({
+    id: entry.id,
+    url: entry.link,
+    title: entry.title,
+    content_text: entry.summary,
+    image: entry.image,
+    date_published: entry.date.toISOString()
+  }))
+}, null, 2);
+
+// Last-Modified is the newest entry; the ETag covers the whole body so renames are picked up
+// too. Either lets feed readers poll with a conditional request and get a bodyless 304.
+const sendFeed = async (req, res, format, seriesId) => {
+  try {
+    const feed = await buildFeed(seriesId);
+    if (!feed) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    const updated = feed.entries.length > 0 ? feed.entries[0].date : new Date(0);
+    const body = FEED_FORMATS[format].build({ ...feed, updated, selfUrl: `${getServerBaseUrl(req)}${req.originalUrl}` });
+    res.set({
+      'Cache-Control': `public, max-age=${FEED_MAX_AGE_SECONDS}`,
+      'Last-Modified': updated.toUTCString(),
+      ETag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type(FEED_FORMATS[format].contentType).send(body);
+  } catch (error) {
+    console.error('❌ Error building feed:', error);
+    res.status(500).json({ error: 'Failed to build feed', details: error.message });
+  }
+};
+
+app.get('/feeds/latest.:format(xml|atom|json)', (req, res) => sendFeed(req, res, req.params.format));
+app.get('/feeds/series/:id.:format(xml|atom|json)', (req, res) => sendFeed(req, res, req.params.format, req.params.id));
+// Without an extension a series feed is RSS.
+app.get('/feeds/series/:id', (req, res) => sendFeed(req, res, 'xml', req.params.id));
+
+// ================================================================
+// STREMIO ADD-ON
+// ================================================================
+
+// Serves the library to Stremio clients (https://github.com/Stremio/stremio-addon-sdk/tree/master/docs/api).
+// Install from <server>/stremio/manifest.json. Titles use "movtv:<id>" ids and episodes
+// "movtv:<seriesId>:<season>:<episode>", so Stremio only asks this add-on about its own items.
+const STREMIO_ID_PREFIX = 'movtv:';
+const STREMIO_PAGE_SIZE = 100;
+// Search results are ranked in memory, so paging through them stops here.
+const STREMIO_SEARCH_MAX_RESULTS = 1000;
+const STREMIO_CATALOGS = {
+  movie: { id: 'movtv-movies', name: 'Movies', model: Movie },
+  series: { id: 'movtv-series', name: 'Series', model: Series }
+};
+const STREMIO_PREVIEW_FIELDS = 'name thumbnail description year genres';
+
+const getStremioModel = (type) => (STREMIO_CATALOGS[type] ? STREMIO_CATALOGS[type].model : null);
+
+// "movtv:<id>[:<season>:<episode>]" -> { id, seasonNumber, episodeNumber }
+const parseStremioId = (value) => {
+  if (!String(value).startsWith(STREMIO_ID_PREFIX)) return null;
+  const [id, seasonNumber, episodeNumber] = String(value).slice(STREMIO_ID_PREFIX.length).split(':');
+  if (!mongoose.isValidObjectId(id)) return null;
+  return { id, seasonNumber: parsePositiveInteger(seasonNumber), episodeNumber: parsePositiveInteger(episodeNumber) };
+};
+
+const getEpisodeOrder = (series) => [...series.seasons]
+  .sort((a, b) => a.seasonNumber - b.seasonNumber)
+  .flatMap(season => [...season.episodes]
+    .sort((a, b) => a.episodeNumber - b.episodeNumber)
+    .map(episode => ({ season, episode })));
+
+const toStremioPreview = (doc, type) => ({
+  id: `${STREMIO_ID_PREFIX}${doc._id}`,
+  type,
+  name: doc.name,
+  poster: doc.thumbnail,
+  posterShape: 'poster',
+  description: doc.description,
+  releaseInfo: doc.year ? String(doc.year) : undefined,
+  genres: doc.genres
+});
+
+const toStremioMeta = (doc, type) => {
+  const meta = {
+    ...toStremioPreview(doc, type),
+    background: doc.thumbnail,
+    cast: doc.cast,
+    language: doc.language,
+    runtime: doc.runtime ? `${doc.runtime} min` : undefined
+  };
+  if (type === 'series') {
+    meta.videos = getEpisodeOrder(doc).map(({ season, episode }) => ({
+      id: `${STREMIO_ID_PREFIX}${doc._id}:${season.seasonNumber}:${episode.episodeNumber}`,
+      title: episode.title,
+      season: season.seasonNumber,
+      episode: episode.episodeNumber,
+      released: (episode.addedAt || doc.addedAt || new Date()).toISOString(),
+      thumbnail: episode.thumbnail || doc.thumbnail
+    }));
+  }
+  return meta;
+};
+
+// One stream per source in priority order, with the item's subtitles attached.
+const toStremioStreams = (item, baseUrl) => {
+  const sources = item.sources && item.sources.length > 0
+    ? [...item.sources].sort((a, b) => a.priority - b.priority)
+    : [{ url: item.streamingUrl }];
+  const subtitles = (item.subtitles || []).map(track => ({
+    id: String(track.subtitleId),
+    url: `${baseUrl}/api/subtitles/${track.subtitleId}.vtt`,
+    lang: track.language
+  }));
+  return sources.map(source => ({
+    url: source.url,
+    name: source.quality || 'Media Manager',
+    title: [source.language, source.label].filter(Boolean).join(' • ') || item.title || item.name,
+    subtitles
+  }));
+};
+
+// Genre options come from the library, so Stremio's genre filter only offers genres that exist.
+app.get('/stremio/manifest.json', async (req, res) => {
+  try {
+    const catalogs = await Promise.all(Object.entries(STREMIO_CATALOGS).map(async ([type, { id, name, model }]) => ({
+      type,
+      id,
+      name,
+      extra: [
+        { name: 'search' },
+        { name: 'genre', options: (await model.distinct('genres')).filter(Boolean).sort() },
+        { name: 'skip' }
+      ]
+    })));
+    res.json({
+      id: 'community.movtv.library',
+      version: '1.0.0',
+      name: 'Media Manager',
+      description: 'Movies and series from the Media Manager library.',
+      resources: ['catalog', 'meta', 'stream'],
+      types: Object.keys(STREMIO_CATALOGS),
+      idPrefixes: [STREMIO_ID_PREFIX],
+      catalogs
+    });
+  } catch (error) {
+    console.error('❌ Error building Stremio manifest:', error);
+    res.status(500).json({ error: 'Failed to build manifest', details: error.message });
+  }
+});
+
+// Extras arrive as a path segment, e.g. /stremio/catalog/movie/movtv-movies/search=dune&skip=100.json
+const handleStremioCatalog = async (req, res) => {
+  const catalog = STREMIO_CATALOGS[req.params.type];
+  if (!catalog || catalog.id !== req.params.id) {
+    return res.status(404).json({ error: 'Catalog not found' });
+  }
+  const extra = new URLSearchParams(req.params.extra || '');
+  const skip = Math.max(parseInt(extra.get('skip')) || 0, 0);
+  const search = (extra.get('search') || '').trim();
+  const genre = extra.get('genre');
+  try {
+    let docs;
+    if (search) {
+      const matches = skip < STREMIO_SEARCH_MAX_RESULTS
+        ? await searchByName(catalog.model, search, {
+          limit: Math.min(skip + STREMIO_PAGE_SIZE, STREMIO_SEARCH_MAX_RESULTS),
+          filter: genre ? { genres: exactMatch(genre) } : {}
+        })
+        : [];
+      docs = matches
+        .sort((a, b) => b.rank - a.rank || a.doc.name.localeCompare(b.doc.name))
+        .slice(skip, skip + STREMIO_PAGE_SIZE)
+        .map(({ doc }) => doc);
+    } else {
+      docs = await catalog.model.find(genre ? { genres: exactMatch(genre) } : {}, STREMIO_PREVIEW_FIELDS)
+        .sort({ addedAt: -1, _id: 1 })
+        .skip(skip)
+        .limit(STREMIO_PAGE_SIZE)
+        .lean();
+    }
+    res.json({ metas: docs.map(doc => toStremioPreview(doc, req.params.type)) });
+  } catch (error) {
+    console.error('❌ Error fetching Stremio catalog:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog', details: error.message });
+  }
+};
+
+app.get('/stremio/catalog/:type/:id.json', handleStremioCatalog);
+app.get('/stremio/catalog/:type/:id/:extra.json', handleStremioCatalog);
+
+app.get('/stremio/meta/:type/:id.json', async (req, res) => {
+  const Model = getStremioModel(req.params.type);
+  const target = parseStremioId(req.params.id);
+  try {
+    const doc = Model && target && await Model.findById(target.id, PUBLIC_LIBRARY_PROJECTION).lean();
+    if (!doc) {
+      return res.status(404).json({ error: 'Title not found' });
     }
-
-    await bot.answerCallbackQuery(callbackQuery.id);
+    res.json({ meta: toStremioMeta(doc, req.params.type) });
   } catch (error) {
-    console.error('❌ Error handling callback query:', error);
-    await bot.answerCallbackQuery(callbackQuery.id, { text: 'An error occurred' });
-    // Clear state on error to prevent being stuck
-    userStates.delete(chatId);
-    tempData.delete(chatId);
+    console.error('❌ Error fetching Stremio meta:', error);
+    res.status(500).json({ error: 'Failed to fetch meta', details: error.message });
   }
 });
 
-async function handleConversationFlow(chatId, text, userId) {
-  const state = userStates.get(chatId);
-  const data = tempData.get(chatId) || {};
+app.get('/stremio/stream/:type/:id.json', async (req, res) => {
+  const Model = getStremioModel(req.params.type);
+  const target = parseStremioId(req.params.id);
   try {
-    switch (state) {
-      case 'adding_movie_name':
-        data.name = text.trim();
-        userStates.set(chatId, 'adding_movie_thumbnail');
-        await bot.sendMessage(chatId, '📸 Enter the movie thumbnail URL (image):');
-        break;
-      case 'adding_movie_thumbnail':
-        data.thumbnail = text.trim();
-        userStates.set(chatId, 'adding_movie_streaming_url');
-        await bot.sendMessage(chatId, '🔗 Enter the streaming URL (.mp4, .m3u8, etc.):');
-        break;
-      case 'adding_movie_streaming_url':
-        data.streamingUrl = text.trim();
-        try {
-          const movie = new Movie({ ...data, addedBy: userId });
-          await movie.save();
-          await bot.sendMessage(chatId, `✅ Movie "${data.name}" added successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error saving movie:', error);
-          await bot.sendMessage(chatId, '❌ Error adding movie. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'adding_series_name':
-        data.name = text.trim();
-        userStates.set(chatId, 'adding_series_thumbnail');
-        await bot.sendMessage(chatId, '📸 Enter the series thumbnail URL (image):');
-        break;
-      case 'adding_series_thumbnail':
-        data.thumbnail = text.trim();
-        data.seasons = [];
-        userStates.set(chatId, 'adding_season_number');
-        await bot.sendMessage(chatId, '🔢 Enter season number:');
-        break;
-      case 'adding_season_number_for_existing_series':
-      case 'adding_season_number':
-        const seasonNumber = parseInt(text.trim());
-        if (isNaN(seasonNumber) || seasonNumber <= 0) {
-          await bot.sendMessage(chatId, '⚠️ Please enter a valid season number!');
-          return;
-        }
-        const existingSeason = data.seasons.find(s => s.seasonNumber === seasonNumber);
-        if (existingSeason) {
-          await bot.sendMessage(chatId, '⚠️ This season already exists. Please enter a different season number.');
-          return;
-        }
-        data.currentSeason = { seasonNumber, episodes: [] };
-        userStates.set(chatId, 'adding_episode_number');
-        await bot.sendMessage(chatId, `📺 Adding to Series "${data.name}", Season ${seasonNumber}.\n\n🔢 Enter episode number:`);
-        break;
-      case 'adding_episode_number':
-        const episodeNumber = parseInt(text.trim());
-        if (isNaN(episodeNumber) || episodeNumber <= 0) {
-          await bot.sendMessage(chatId, '⚠️ Please enter a valid episode number!');
-          return;
-        }
-        const existingEpisode = data.currentSeason.episodes.find(e => e.episodeNumber === episodeNumber);
-        if (existingEpisode) {
-          await bot.sendMessage(chatId, `⚠️ Episode ${episodeNumber} already exists in Season ${data.currentSeason.seasonNumber}. Choose a different number.`);
-          return;
-        }
-        data.currentEpisode = { episodeNumber };
-        userStates.set(chatId, `adding_episode_title`);
-        await bot.sendMessage(chatId, `📺 S${data.currentSeason.seasonNumber}E${episodeNumber} - Enter episode title:`);
-        break;
-      case 'adding_episode_title':
-        data.currentEpisode.title = text.trim();
-        userStates.set(chatId, `adding_episode_url`);
-        await bot.sendMessage(chatId, '🔗 Enter episode streaming URL:');
-        break;
-      case 'adding_episode_url':
-        data.currentEpisode.streamingUrl = text.trim();
-        data.currentSeason.episodes.push(data.currentEpisode);
-        const seasonIndex = data.seasons.findIndex(s => s.seasonNumber === data.currentSeason.seasonNumber);
-        if (seasonIndex >= 0) {
-          data.seasons[seasonIndex] = data.currentSeason;
-        } else {
-          data.seasons.push(data.currentSeason);
-        }
-        const totalEpisodes = data.currentSeason.episodes.length;
-        await bot.sendMessage(chatId,
-          `✅ Episode added! S${data.currentSeason.seasonNumber}E${data.currentEpisode.episodeNumber}: ${data.currentEpisode.title}\n\n` +
-          `📊 Season ${data.currentSeason.seasonNumber} now has ${totalEpisodes} episode${totalEpisodes !== 1 ? 's' : ''}\n\n` +
-          `What would you like to do next?`,
-          {
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '➕ Add Another Episode', callback_data: 'add_another_episode' }],
-                [{ text: '🔢 Add New Season', callback_data: `add_new_season_to_series_${data.seriesId}` }],
-                [{ text: '✅ Finish Series', callback_data: 'finish_series' }]
-              ]
-            }
-          }
-        );
-        break;
-      case 'editing_movie_name':
-        try {
-          await Movie.findByIdAndUpdate(data.movieId, { name: text.trim() });
-          await bot.sendMessage(chatId, `✅ Movie name updated to "${text.trim()}"!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error updating movie name:', error);
-          await bot.sendMessage(chatId, '❌ Error updating movie name. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'editing_movie_thumbnail':
-        try {
-          await Movie.findByIdAndUpdate(data.movieId, { thumbnail: text.trim() });
-          await bot.sendMessage(chatId, `✅ Movie thumbnail updated successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error updating movie thumbnail:', error);
-          await bot.sendMessage(chatId, '❌ Error updating movie thumbnail. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'editing_movie_streaming_url':
-        try {
-          await Movie.findByIdAndUpdate(data.movieId, { streamingUrl: text.trim() });
-          await bot.sendMessage(chatId, `✅ Movie streaming URL updated successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error updating movie streaming URL:', error);
-          await bot.sendMessage(chatId, '❌ Error updating movie streaming URL. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'editing_series_name':
-        try {
-          await Series.findByIdAndUpdate(data.seriesId, { name: text.trim() });
-          await bot.sendMessage(chatId, `✅ Series name updated to "${text.trim()}"!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error updating series name:', error);
-          await bot.sendMessage(chatId, '❌ Error updating series name. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'editing_series_thumbnail':
-        try {
-          await Series.findByIdAndUpdate(data.seriesId, { thumbnail: text.trim() });
-          await bot.sendMessage(chatId, `✅ Series thumbnail updated successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-          console.error('Error updating series thumbnail:', error);
-          await bot.sendMessage(chatId, '❌ Error updating series thumbnail. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      // ✨ NEW: Handle episode field edits
-      case 'editing_episode_title':
-        try {
-            await Series.findOneAndUpdate(
-                {
-                    '_id': data.seriesId,
-                    'seasons.seasonNumber': data.seasonNumber,
-                    'seasons.episodes.episodeNumber': data.episodeNumber
-                },
-                {
-                    '$set': {
-                        'seasons.$[season].episodes.$[episode].title': text.trim()
-                    }
-                },
-                {
-                    arrayFilters: [
-                        { 'season.seasonNumber': data.seasonNumber },
-                        { 'episode.episodeNumber': data.episodeNumber }
-                    ]
-                }
-            );
-            await bot.sendMessage(chatId, `✅ Episode title updated successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-            console.error('Error updating episode title:', error);
-            await bot.sendMessage(chatId, '❌ Error updating episode title. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      case 'editing_episode_streaming_url':
-        try {
-            await Series.findOneAndUpdate(
-                {
-                    '_id': data.seriesId,
-                    'seasons.seasonNumber': data.seasonNumber,
-                    'seasons.episodes.episodeNumber': data.episodeNumber
-                },
-                {
-                    '$set': {
-                        'seasons.$[season].episodes.$[episode].streamingUrl': text.trim()
-                    }
-                },
-                {
-                    arrayFilters: [
-                        { 'season.seasonNumber': data.seasonNumber },
-                        { 'episode.episodeNumber': data.episodeNumber }
-                    ]
-                }
-            );
-            await bot.sendMessage(chatId, `✅ Episode streaming URL updated successfully!`, getMainMenuKeyboard());
-        } catch (error) {
-            console.error('Error updating episode streaming URL:', error);
-            await bot.sendMessage(chatId, '❌ Error updating episode streaming URL. Please try again.', getMainMenuKeyboard());
-        }
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
-      default:
-        await bot.sendMessage(chatId, '❓ I didn\'t understand that. Please use the menu buttons or type /start to restart.', getMainMenuKeyboard());
-        userStates.delete(chatId);
-        tempData.delete(chatId);
-        break;
+    const doc = Model && target && await Model.findById(target.id).lean();
+    let item = req.params.type === 'movie' ? doc : null;
+    if (doc && req.params.type === 'series') {
+      const season = doc.seasons.find(s => s.seasonNumber === target.seasonNumber);
+      item = season && season.episodes.find(e => e.episodeNumber === target.episodeNumber);
     }
-    if (data && Object.keys(data).length > 0) {
-      tempData.set(chatId, data);
+    if (!item) {
+      return res.status(404).json({ error: 'Title not found' });
     }
+    res.json({ streams: toStremioStreams(item, getServerBaseUrl(req)) });
   } catch (error) {
-    console.error('❌ Error in conversation flow:', error);
-    await bot.sendMessage(chatId, '❌ An error occurred. Please try again or use /start to restart.', getMainMenuKeyboard());
-    userStates.delete(chatId);
-    tempData.delete(chatId);
+    console.error('❌ Error fetching Stremio streams:', error);
+    res.status(500).json({ error: 'Failed to fetch streams', details: error.message });
   }
-}
+});
 
 // ================================================================
-// API ENDPOINTS FOR FRONTEND
+// APK GENERATOR
 // ================================================================
 
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    bot: USE_WEBHOOK ? 'webhook' : 'polling',
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
-  });
+const APK_OUTPUT_DIR = path.join(__dirname, 'public', 'apks');
+const APK_TEMP_DIR = path.join(__dirname, 'temp-apk');
+const APK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const APK_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const APK_FILE_PATTERN = /^[a-z0-9-]+\.zip$/;
+
+// Java keywords cannot be used as package name segments.
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally',
+  'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long',
+  'native', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static',
+  'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true',
+  'try', 'void', 'volatile', 'while'
+]);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, "\\'");
+
+const validateApkRequest = ({ appName, packageName } = {}) => {
+  const name = typeof appName === 'string' ? appName.trim() : '';
+  const pkg = typeof packageName === 'string' ? packageName.trim() : '';
+  if (!name) {
+    return { error: 'App name is required' };
+  }
+  if (name.length > 50) {
+    return { error: 'App name must be 50 characters or fewer' };
+  }
+  if (!/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/.test(pkg)) {
+    return { error: 'Package name must use reverse domain notation (e.g., com.company.appname)' };
+  }
+  if (pkg.split('.').some(segment => JAVA_KEYWORDS.has(segment))) {
+    return { error: 'Package name segments cannot be Java keywords' };
+  }
+  return { appName: name, packageName: pkg };
+};
+
+const getApkDownloadUrl = (fileName) => `${KOYEB_URL || `http://localhost:${PORT}`}/apks/${fileName}`;
+
+// Builds the file map for an Android Studio project that wraps the frontend in a WebView.
+const buildApkProjectFiles = (appName, packageName) => {
+  const packagePath = packageName.split('.').join('/');
+  return {
+    'settings.gradle':
+`rootProject.name = "${appName.replace(/["\\$]/g, '')}"
+include ':app'
+`,
+    'build.gradle':
+`buildscript {
+    repositories {
+        google()
+        mavenCentral()
+    }
+    dependencies {
+        classpath 'com.android.tools.build:gradle:8.1.4'
+    }
+}
+
+allprojects {
+    repositories {
+        google()
+        mavenCentral()
+    }
+}
+`,
+    'gradle.properties':
+`org.gradle.jvmargs=-Xmx2048m
+android.useAndroidX=true
+`,
+    'app/build.gradle':
+`plugins {
+    id 'com.android.application'
+}
+
+android {
+    namespace '${packageName}'
+    compileSdk 34
+
+    defaultConfig {
+        applicationId '${packageName}'
+        minSdk 21
+        targetSdk 34
+        versionCode 1
+        versionName '1.0'
+    }
+
+    buildTypes {
+        release {
+            minifyEnabled false
+        }
+    }
+
+    compileOptions {
+        sourceCompatibility JavaVersion.VERSION_1_8
+        targetCompatibility JavaVersion.VERSION_1_8
+    }
+}
+`,
+    'app/src/main/AndroidManifest.xml':
+`<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+
+    <uses-permission android:name="android.permission.INTERNET" />
+    <uses-permission android:name="android.permission.ACCESS_NETWORK_STATE" />
+
+    <application
+        android:allowBackup="true"
+        android:icon="@drawable/ic_launcher"
+        android:label="@string/app_name"
+        android:usesCleartextTraffic="true"
+        android:hardwareAccelerated="true"
+        android:theme="@android:style/Theme.Black.NoTitleBar.Fullscreen">
+        <activity
+            android:name=".MainActivity"
+            android:exported="true"
+            android:configChanges="orientation|screenSize|keyboardHidden|smallestScreenSize|screenLayout">
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+                <category android:name="android.intent.category.LAUNCHER" />
+                <category android:name="android.intent.category.LEANBACK_LAUNCHER" />
+            </intent-filter>
+        </activity>
+    </application>
+
+    <uses-feature android:name="android.software.leanback" android:required="false" />
+    <uses-feature android:name="android.hardware.touchscreen" android:required="false" />
+</manifest>
+`,
+    [`app/src/main/java/${packagePath}/MainActivity.java`]:
+`package ${packageName};
+
+import android.app.Activity;
+import android.os.Bundle;
+import android.view.View;
+import android.webkit.WebChromeClient;
+import android.webkit.WebSettings;
+import android.webkit.WebView;
+import android.webkit.WebViewClient;
+
+public class MainActivity extends Activity {
+    private static final String APP_URL = "${FRONTEND_URL}";
+
+    private WebView webView;
+    private View customView;
+    private WebChromeClient.CustomViewCallback customViewCallback;
+
+    @Override
+    protected void onCreate(Bundle savedInstanceState) {
+        super.onCreate(savedInstanceState);
+
+        webView = new WebView(this);
+        setContentView(webView);
+
+        WebSettings settings = webView.getSettings();
+        settings.setJavaScriptEnabled(true);
+        settings.setDomStorageEnabled(true);
+        settings.setMediaPlaybackRequiresUserGesture(false);
+        settings.setLoadWithOverviewMode(true);
+        settings.setUseWideViewPort(true);
+
+        webView.setWebViewClient(new WebViewClient());
+        webView.setWebChromeClient(new WebChromeClient() {
+            @Override
+            public void onShowCustomView(View view, CustomViewCallback callback) {
+                customView = view;
+                customViewCallback = callback;
+                setContentView(view);
+            }
+
+            @Override
+            public void onHideCustomView() {
+                if (customView == null) return;
+                setContentView(webView);
+                customView = null;
+                customViewCallback.onCustomViewHidden();
+            }
+        });
+
+        if (savedInstanceState != null) {
+            webView.restoreState(savedInstanceState);
+        } else {
+            webView.loadUrl(APP_URL);
+        }
+    }
+
+    @Override
+    protected void onSaveInstanceState(Bundle outState) {
+        super.onSaveInstanceState(outState);
+        webView.saveState(outState);
+    }
+
+    @Override
+    public void onBackPressed() {
+        if (customView != null) {
+            webView.getWebChromeClient().onHideCustomView();
+        } else if (webView.canGoBack()) {
+            webView.goBack();
+        } else {
+            super.onBackPressed();
+        }
+    }
+}
+`,
+    'app/src/main/res/values/strings.xml':
+`<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <string name="app_name">${escapeXml(appName)}</string>
+</resources>
+`,
+    'app/src/main/res/drawable/ic_launcher.xml':
+`<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="108dp"
+    android:height="108dp"
+    android:viewportWidth="108"
+    android:viewportHeight="108">
+    <path
+        android:fillColor="#1A1A2E"
+        android:pathData="M0,0h108v108h-108z" />
+    <path
+        android:fillColor="#4ECDC4"
+        android:pathData="M42,34L76,54L42,74Z" />
+</vector>
+`,
+    'README.md':
+`# ${appName}
+
+Android WebView wrapper for ${FRONTEND_URL}
+
+- Package name: \`${packageName}\`
+- Generated: ${new Date().toISOString()}
+
+## Build
+
+1. Open this folder in Android Studio (Hedgehog or newer).
+2. Let Gradle sync, then choose *Build > Build Bundle(s) / APK(s) > Build APK(s)*.
+3. Install \`app/build/outputs/apk/debug/app-debug.apk\` on your device.
+`
+  };
+};
+
+const zipDirectory = (sourceDir, outputPath) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(outputPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  output.on('close', () => resolve(archive.pointer()));
+  output.on('error', reject);
+  archive.on('error', reject);
+  archive.pipe(output);
+  archive.directory(sourceDir, false);
+  archive.finalize();
 });
 
-app.get('/api/movies', async (req, res) => {
+const describeApkFile = async (fileName) => {
+  const stats = await fse.stat(path.join(APK_OUTPUT_DIR, fileName));
+  return {
+    fileName,
+    size: stats.size,
+    createdAt: stats.mtime.toISOString(),
+    downloadUrl: getApkDownloadUrl(fileName)
+  };
+};
+
+const cleanupExpiredApks = async () => {
   try {
-    const { page = 1, limit = 50, search } = req.query;
-    const query = search ? { name: { $regex: search, $options: 'i' } } : {};
-    const movies = await Movie.find(query)
-      .sort({ addedAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-    const total = await Movie.countDocuments(query);
-    if (movies.length === 0) {
-      return res.json([]);
+    await fse.ensureDir(APK_OUTPUT_DIR);
+    const now = Date.now();
+    const files = await fse.readdir(APK_OUTPUT_DIR);
+    for (const fileName of files) {
+      if (!APK_FILE_PATTERN.test(fileName)) continue;
+      const filePath = path.join(APK_OUTPUT_DIR, fileName);
+      const stats = await fse.stat(filePath);
+      if (now - stats.mtimeMs > APK_MAX_AGE_MS) {
+        await fse.remove(filePath);
+        console.log(`🧹 Removed expired APK package: ${fileName}`);
+      }
+    }
+    // Staging directories are normally removed right after zipping; anything left behind is from a crash.
+    if (await fse.pathExists(APK_TEMP_DIR)) {
+      for (const entry of await fse.readdir(APK_TEMP_DIR)) {
+        const entryPath = path.join(APK_TEMP_DIR, entry);
+        const stats = await fse.stat(entryPath);
+        if (now - stats.mtimeMs > APK_CLEANUP_INTERVAL_MS) {
+          await fse.remove(entryPath);
+        }
+      }
     }
-    res.json(movies);
   } catch (error) {
-    console.error('❌ Error fetching movies:', error);
-    res.status(500).json({ error: 'Failed to fetch movies', details: error.message });
+    console.error('❌ Error cleaning up APK packages:', error);
   }
-});
+};
+
+app.post('/api/generate-apk', async (req, res) => {
+  const validated = validateApkRequest(req.body);
+  if (validated.error) {
+    return res.status(400).json({ success: false, error: validated.error });
+  }
+  const { appName, packageName } = validated;
+  const buildId = uuidv4();
+  const stagingDir = path.join(APK_TEMP_DIR, buildId);
+  const slug = appName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'app';
+  const fileName = `${slug}-${buildId.slice(0, 8)}.zip`;
 
-app.get('/api/series', async (req, res) => {
   try {
-    const { page = 1, limit = 50, search } = req.query;
-    const query = search ? { name: { $regex: search, $options: 'i' } } : {};
-    const series = await Series.find(query)
-      .sort({ addedAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-    const total = await Series.countDocuments(query);
-    if (series.length === 0) {
-      return res.json([]);
+    const files = buildApkProjectFiles(appName, packageName);
+    for (const [relativePath, contents] of Object.entries(files)) {
+      await fse.outputFile(path.join(stagingDir, relativePath), contents);
     }
-    res.json(series);
+    await fse.ensureDir(APK_OUTPUT_DIR);
+    await zipDirectory(stagingDir, path.join(APK_OUTPUT_DIR, fileName));
+    const apk = await describeApkFile(fileName);
+    console.log(`📱 Generated APK package ${fileName} for ${packageName}`);
+    res.json({ success: true, ...apk });
   } catch (error) {
-    console.error('❌ Error fetching series:', error);
-    res.status(500).json({ error: 'Failed to fetch series', details: error.message });
+    console.error('❌ Error generating APK package:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate APK package', details: error.message });
+  } finally {
+    await fse.remove(stagingDir).catch(() => {});
   }
 });
 
-app.get('/api/series/:id', async (req, res) => {
+app.get('/api/generated-apks', async (req, res) => {
   try {
-    const series = await Series.findById(req.params.id);
-    if (!series) {
-      return res.status(404).json({ error: 'Series not found' });
-    }
-    res.json(series);
+    await fse.ensureDir(APK_OUTPUT_DIR);
+    const files = (await fse.readdir(APK_OUTPUT_DIR)).filter(fileName => APK_FILE_PATTERN.test(fileName));
+    const apks = await Promise.all(files.map(describeApkFile));
+    apks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json({ success: true, apks });
   } catch (error) {
-    console.error('❌ Error fetching series details:', error);
-    res.status(500).json({ error: 'Failed to fetch series details', details: error.message });
+    console.error('❌ Error listing APK packages:', error);
+    res.status(500).json({ success: false, error: 'Failed to list APK packages', details: error.message });
   }
 });
 
-app.get('/api/stats', async (req, res) => {
+app.delete('/api/generated-apks/:fileName', async (req, res) => {
+  const { fileName } = req.params;
+  if (!APK_FILE_PATTERN.test(fileName)) {
+    return res.status(400).json({ success: false, error: 'Invalid file name' });
+  }
   try {
-    const movieCount = await Movie.countDocuments();
-    const seriesCount = await Series.countDocuments();
-    const totalEpisodes = await Series.aggregate([
-      { $unwind: '$seasons' },
-      { $unwind: '$seasons.episodes' },
-      { $count: 'totalEpisodes' }
-    ]);
-    const episodeCount = totalEpisodes[0]?.totalEpisodes || 0;
-    res.json({
-      movies: movieCount,
-      series: seriesCount,
-      episodes: episodeCount,
-      total: movieCount + seriesCount
-    });
+    const filePath = path.join(APK_OUTPUT_DIR, fileName);
+    if (!(await fse.pathExists(filePath))) {
+      return res.status(404).json({ success: false, error: 'APK package not found' });
+    }
+    await fse.remove(filePath);
+    res.json({ success: true, fileName });
   } catch (error) {
-    console.error('❌ Error fetching statistics:', error);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
+    console.error('❌ Error deleting APK package:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete APK package', details: error.message });
   }
 });
 
+cleanupExpiredApks();
+setInterval(cleanupExpiredApks, APK_CLEANUP_INTERVAL_MS).unref();
+
 app.get('/', (req, res) => {
   const indexPath = path.join(__dirname, 'public', 'index.html');
   fs.readFile(indexPath, 'utf8', (err, data) => {
@@ -956,9 +6587,27 @@ app.get('/api', (req, res) => {
     status: 'running',
     endpoints: {
       movies: '/api/movies',
+      movieById: '/api/movies/:id',
       series: '/api/series',
       seriesById: '/api/series/:id',
+      subtitles: '/api/subtitles/:id.vtt',
+      moviePlaylist: '/api/playlists/movies.m3u (or .xspf)',
+      seriesPlaylist: '/api/series/:id/playlist.m3u (or .xspf)',
+      progress: '/api/progress',
+      seasons: '/api/series/:id/seasons/:seasonNumber',
+      import: '/api/import',
+      export: '/api/export',
+      restore: '/api/restore',
+      trash: '/api/trash',
+      audit: '/api/audit',
+      linkHealth: '/api/health/links',
+      notifications: '/api/notifications',
+      episodes: '/api/series/:id/seasons/:seasonNumber/episodes/:episodeNumber',
       stats: '/api/stats',
+      feeds: '/feeds/latest.xml (or .atom, .json), /feeds/series/:id',
+      stremio: '/stremio/manifest.json',
+      generateApk: '/api/generate-apk',
+      generatedApks: '/api/generated-apks',
       health: '/health'
     },
     message: 'Frontend is available at the root URL /'
@@ -974,6 +6623,11 @@ app.listen(PORT, '0.0.0.0', async () => {
   console.log('🚀 Media Manager API Server running on port', PORT);
   console.log('🌐 API Base URL:', KOYEB_URL ? `${KOYEB_URL}/api` : `http://localhost:${PORT}/api`);
   console.log('🤖 Bot mode:', USE_WEBHOOK ? 'Webhook' : 'Polling');
+  console.log('💾 Session store:', SESSION_STORE);
+  console.log('🚦 Rate limits:', `API ${API_RATE_LIMIT_PER_MINUTE || 'off'}/min per IP, ${API_KEY_RATE_LIMIT_PER_MINUTE || 'off'}/min per API key, bot ${BOT_RATE_LIMIT_PER_MINUTE || 'off'}/min per user (${RATE_LIMIT_STORE} store)`);
+  console.log('🔎 Metadata provider:', metadataProvider ? metadataProvider.name : 'disabled');
+  console.log('📣 Announcement channel:', ANNOUNCE_CHANNEL_ID || 'none');
+  console.log('🩺 Link checker:', LINK_CHECK_INTERVAL_HOURS > 0 ? `every ${LINK_CHECK_INTERVAL_HOURS}h, digest at ${LINK_DIGEST_HOUR}:00 UTC` : 'disabled');
 
   if (USE_WEBHOOK && KOYEB_URL) {
     const webhookUrl = `${KOYEB_URL}${WEBHOOK_PATH}`;
@@ -987,10 +6641,26 @@ app.listen(PORT, '0.0.0.0', async () => {
   }
 
   console.log('📋 Available endpoints:');
-  console.log('   • GET  /api/movies     - Get all movies');
-  console.log('   • GET  /api/series     - Get all series');
+  console.log('   • GET  /api/movies     - List movies (paginated)');
+  console.log('   • GET  /api/movies/:id - Get movie details');
+  console.log('   • GET  /api/series     - List series (paginated)');
   console.log('   • GET  /api/series/:id - Get series details');
+  console.log('   • GET  /api/subtitles/:id.vtt - Get a subtitle track (WebVTT)');
+  console.log('   • GET  /api/playlists/movies.m3u|xspf, /api/series/:id/playlist.m3u|xspf - Playlists for external players');
+  console.log('   • GET/POST /api/progress - Watch progress and Continue Watching per viewer');
   console.log('   • GET  /api/stats      - Get library statistics');
+  console.log('   • POST/PUT/PATCH/DELETE /api/movies, /api/series[/:id/seasons[/:n/episodes]] - Write API (API key)');
+  console.log('   • POST /api/import      - Bulk import movies or episodes (API key)');
+  console.log('   • GET  /api/export      - Download library backup (API key)');
+  console.log('   • POST /api/restore     - Restore library backup (API key)');
+  console.log('   • GET  /api/trash       - List deleted items (API key)');
+  console.log('   • GET  /api/audit       - Library change history (API key)');
+  console.log('   • GET  /api/health/links - Broken links report (API key)');
+  console.log('   • GET  /api/notifications - Announcement delivery status (API key)');
+  console.log('   • GET  /feeds/latest.xml|atom|json, /feeds/series/:id - Recently added feeds');
+  console.log('   • GET  /stremio/manifest.json - Stremio add-on (catalog, meta, stream)');
+  console.log('   • POST /api/generate-apk - Generate Android WebView project');
+  console.log('   • GET  /api/generated-apks - List generated APK packages');
   console.log('   • GET  /health         - Health check');
   console.log('✅ Server ready! Connect your frontend to this API.');
 });
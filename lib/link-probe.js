@@ -0,0 +1,74 @@
+// Probes used by the background link checker (see LINK HEALTH in index.js). Kept separate so
+// they can be run against a local HTTP server without a bot or a database.
+
+const HLS_MANIFEST_MAX_BYTES = 1024 * 1024;
+const USER_AGENT = 'MediaManagerLinkChecker/1.0';
+
+// probeLink(url, { hls }) resolves to { url, status: 'ok'|'broken', statusCode, error, latencyMs,
+// checkedAt } and never rejects. `hls` treats the URL as an HLS playlist.
+const createLinkProber = ({ timeoutMs }) => {
+  const fetchLink = (url, options = {}) => fetch(url, {
+    redirect: 'follow',
+    ...options,
+    headers: { 'User-Agent': USER_AGENT, ...options.headers },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  // HEAD first; many CDNs reject it, so anything but a 2xx is retried as a one-byte ranged GET.
+  // The body is discarded so hosts that ignore Range don't stream a whole video.
+  const probeHttpLink = async (url) => {
+    let response = await fetchLink(url, { method: 'HEAD' });
+    if (!response.ok) {
+      response = await fetchLink(url, { headers: { Range: 'bytes=0-0' } });
+      if (response.body) await response.body.cancel();
+    }
+    return { statusCode: response.status, error: response.ok ? undefined : `HTTP ${response.status}` };
+  };
+
+  // An HLS playlist must start with #EXTM3U and list at least one URI. A master playlist is
+  // followed to its first variant, whose segments are not fetched.
+  const probeHlsManifest = async (url, followVariant = true) => {
+    const response = await fetchLink(url);
+    const statusCode = response.status;
+    if (!response.ok) {
+      if (response.body) await response.body.cancel();
+      return { statusCode, error: `HTTP ${statusCode}` };
+    }
+    if (parseInt(response.headers.get('content-length')) > HLS_MANIFEST_MAX_BYTES) {
+      await response.body.cancel();
+      return { statusCode, error: 'Playlist is too large' };
+    }
+    const lines = (await response.text()).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== '#EXTM3U') {
+      return { statusCode, error: 'Not an HLS playlist' };
+    }
+    const uris = lines.filter(line => !line.startsWith('#'));
+    if (uris.length === 0) {
+      return { statusCode, error: 'Playlist has no segments' };
+    }
+    if (followVariant && lines.some(line => line.startsWith('#EXT-X-STREAM-INF'))) {
+      const variant = await probeHlsManifest(new URL(uris[0], response.url).href, false);
+      return { statusCode, error: variant.error && `Variant playlist: ${variant.error}` };
+    }
+    return { statusCode };
+  };
+
+  return async (url, { hls = false } = {}) => {
+    const startedAt = Date.now();
+    const check = { url, checkedAt: new Date() };
+    try {
+      const { statusCode, error } = hls ? await probeHlsManifest(url) : await probeHttpLink(url);
+      Object.assign(check, { statusCode, error });
+    } catch (error) {
+      check.error = error.name === 'TimeoutError'
+        ? `Timed out after ${timeoutMs} ms`
+        : (error.cause && (error.cause.code || error.cause.message)) || error.message;
+    }
+    check.status = check.error ? 'broken' : 'ok';
+    check.latencyMs = Date.now() - startedAt;
+    if (!check.error) delete check.error;
+    return check;
+  };
+};
+
+module.exports = { createLinkProber };
@@ -0,0 +1,124 @@
+// Metadata providers used to pre-fill new movie/series drafts in the bot (see METADATA PROVIDERS
+// in index.js). Kept separate so they can be exercised without a bot or a database.
+
+const fse = require('fs-extra');
+
+// A metadata provider looks titles up by name so the bot can pre-fill new drafts:
+//   search(kind, query) -> [{ id, title, year, thumbnail }], best match first
+//   details(kind, id)   -> { name, thumbnail, ...METADATA_FIELDS, seasons: [{ seasonNumber, episodes: [{ episodeNumber, title }] }] }
+// `kind` is 'movie' or 'series'; seasons are only returned for series.
+const METADATA_MAX_MATCHES = 5;
+const METADATA_MAX_SEASONS = 30;
+const METADATA_REQUEST_TIMEOUT_MS = 10000;
+
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
+
+const getLanguageName = (code) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (error) {
+    return code;
+  }
+};
+
+const createTmdbMetadataProvider = (apiKey, region) => {
+  const request = async (pathname, params = {}) => {
+    const url = new URL(`${TMDB_API_URL}${pathname}`);
+    url.search = new URLSearchParams({ api_key: apiKey, ...params }).toString();
+    const response = await fetch(url, { signal: AbortSignal.timeout(METADATA_REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`TMDB request ${pathname} failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+  const image = (size, filePath) => (filePath ? `${TMDB_IMAGE_URL}/${size}${filePath}` : undefined);
+  const yearOf = (date) => (date ? parseInt(date.slice(0, 4)) : undefined);
+
+  return {
+    name: 'TMDB',
+    async search(kind, query) {
+      const { results = [] } = await request(kind === 'movie' ? '/search/movie' : '/search/tv', { query });
+      return results.slice(0, METADATA_MAX_MATCHES).map(result => ({
+        id: String(result.id),
+        title: kind === 'movie' ? result.title : result.name,
+        year: yearOf(kind === 'movie' ? result.release_date : result.first_air_date),
+        thumbnail: image('w500', result.poster_path)
+      }));
+    },
+    async details(kind, id) {
+      const isMovie = kind === 'movie';
+      const result = await request(`/${isMovie ? 'movie' : 'tv'}/${encodeURIComponent(id)}`, {
+        append_to_response: isMovie ? 'credits,release_dates' : 'credits,content_ratings'
+      });
+      const ratings = isMovie
+        ? ((result.release_dates?.results || []).find(r => r.iso_3166_1 === region)?.release_dates || [])
+          .map(r => r.certification)
+        : (result.content_ratings?.results || []).filter(r => r.iso_3166_1 === region).map(r => r.rating);
+      const details = {
+        name: isMovie ? result.title : result.name,
+        thumbnail: image('w500', result.poster_path),
+        backdrop: image('w1280', result.backdrop_path),
+        description: result.overview,
+        year: yearOf(isMovie ? result.release_date : result.first_air_date),
+        genres: (result.genres || []).map(genre => genre.name),
+        cast: (result.credits?.cast || []).slice(0, 5).map(person => person.name),
+        language: result.original_language ? getLanguageName(result.original_language) : undefined,
+        runtime: isMovie ? result.runtime : (result.episode_run_time || [])[0],
+        contentRating: ratings.find(Boolean)
+      };
+      if (!isMovie) {
+        details.seasons = [];
+        const seasonNumbers = (result.seasons || [])
+          .map(season => season.season_number)
+          .filter(seasonNumber => seasonNumber > 0)
+          .slice(0, METADATA_MAX_SEASONS);
+        for (const seasonNumber of seasonNumbers) {
+          const season = await request(`/tv/${encodeURIComponent(id)}/season/${seasonNumber}`);
+          details.seasons.push({
+            seasonNumber,
+            episodes: (season.episodes || []).map(episode => ({
+              episodeNumber: episode.episode_number,
+              title: episode.name,
+              thumbnail: image('w300', episode.still_path)
+            }))
+          });
+        }
+      }
+      return details;
+    }
+  };
+};
+
+// Reads { "movies": [...], "series": [...] } from a JSON file on every call, so it can be
+// edited while the bot runs. Entries use the details() shape plus an "id".
+const createFixtureMetadataProvider = (filePath) => {
+  const load = async (kind) => {
+    const fixture = await fse.readJson(filePath);
+    return (kind === 'movie' ? fixture.movies : fixture.series) || [];
+  };
+
+  return {
+    name: 'local fixture',
+    async search(kind, query) {
+      const needle = query.toLowerCase();
+      return (await load(kind))
+        .filter(entry => String(entry.name || '').toLowerCase().includes(needle))
+        .slice(0, METADATA_MAX_MATCHES)
+        .map(entry => ({ id: String(entry.id), title: entry.name, year: entry.year, thumbnail: entry.thumbnail }));
+    },
+    async details(kind, id) {
+      const entry = (await load(kind)).find(candidate => String(candidate.id) === String(id));
+      if (!entry) throw new Error(`No ${kind} with id ${id} in ${filePath}`);
+      const details = { ...entry };
+      delete details.id;
+      return details;
+    }
+  };
+};
+
+module.exports = {
+  createTmdbMetadataProvider,
+  createFixtureMetadataProvider,
+  getLanguageName
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createLinkProber } = require('../lib/link-probe');
+
+const TIMEOUT_MS = 300;
+
+// Stub host: each path answers the way a misbehaving CDN might.
+const routes = {
+  '/ok.mp4': (req, res) => res.writeHead(200, { 'Content-Type': 'video/mp4' }).end(),
+  '/missing.mp4': (req, res) => res.writeHead(404).end(),
+  '/no-head.mp4': (req, res) => {
+    if (req.method === 'HEAD') return res.writeHead(405).end();
+    res.writeHead(req.headers.range === 'bytes=0-0' ? 206 : 200).end('x');
+  },
+  '/slow.mp4': () => {},
+  '/moved.mp4': (req, res) => res.writeHead(302, { Location: '/ok.mp4' }).end(),
+  '/moved-away.mp4': (req, res) => res.writeHead(301, { Location: '/missing.mp4' }).end(),
+  '/master.m3u8': (req, res) => res.end('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nvariant.m3u8\n'),
+  '/variant.m3u8': (req, res) => res.end('#EXTM3U\n#EXTINF:10,\nsegment0.ts\n'),
+  '/not-hls.m3u8': (req, res) => res.end('<html>Not found</html>'),
+  '/empty.m3u8': (req, res) => res.end('#EXTM3U\n#EXT-X-ENDLIST\n')
+};
+
+let server;
+let baseUrl;
+const requests = [];
+const probeLink = createLinkProber({ timeoutMs: TIMEOUT_MS });
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    (routes[req.url] || routes['/missing.mp4'])(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('a 200 response is ok after a single HEAD request', async () => {
+  const check = await probeLink(`${baseUrl}/ok.mp4`);
+  assert.strictEqual(check.status, 'ok');
+  assert.strictEqual(check.statusCode, 200);
+  assert.strictEqual(check.error, undefined);
+  assert.strictEqual(check.url, `${baseUrl}/ok.mp4`);
+  assert.ok(check.checkedAt instanceof Date);
+  assert.ok(check.latencyMs >= 0);
+  assert.deepStrictEqual(requests, ['HEAD /ok.mp4']);
+});
+
+test('a 404 is broken after retrying with a ranged GET', async () => {
+  const check = await probeLink(`${baseUrl}/missing.mp4`);
+  assert.strictEqual(check.status, 'broken');
+  assert.strictEqual(check.statusCode, 404);
+  assert.strictEqual(check.error, 'HTTP 404');
+  assert.deepStrictEqual(requests, ['HEAD /missing.mp4', 'GET /missing.mp4']);
+});
+
+test('a host that rejects HEAD is ok when the ranged GET succeeds', async () => {
+  const check = await probeLink(`${baseUrl}/no-head.mp4`);
+  assert.strictEqual(check.status, 'ok');
+  assert.strictEqual(check.statusCode, 206);
+});
+
+test('a host that never answers times out', async () => {
+  const check = await probeLink(`${baseUrl}/slow.mp4`);
+  assert.strictEqual(check.status, 'broken');
+  assert.strictEqual(check.statusCode, undefined);
+  assert.strictEqual(check.error, `Timed out after ${TIMEOUT_MS} ms`);
+  assert.ok(check.latencyMs >= TIMEOUT_MS - 50);
+});
+
+test('redirects are followed to the final response', async () => {
+  const moved = await probeLink(`${baseUrl}/moved.mp4`);
+  assert.strictEqual(moved.status, 'ok');
+  assert.strictEqual(moved.statusCode, 200);
+  assert.deepStrictEqual(requests, ['HEAD /moved.mp4', 'HEAD /ok.mp4']);
+
+  const movedAway = await probeLink(`${baseUrl}/moved-away.mp4`);
+  assert.strictEqual(movedAway.status, 'broken');
+  assert.strictEqual(movedAway.error, 'HTTP 404');
+});
+
+test('a refused connection is broken with the socket error', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const check = await probeLink(`http://127.0.0.1:${port}/ok.mp4`);
+  assert.strictEqual(check.status, 'broken');
+  assert.strictEqual(check.error, 'ECONNREFUSED');
+});
+
+test('HLS playlists are read and a master playlist is followed to its first variant', async () => {
+  const master = await probeLink(`${baseUrl}/master.m3u8`, { hls: true });
+  assert.strictEqual(master.status, 'ok');
+  assert.deepStrictEqual(requests, ['GET /master.m3u8', 'GET /variant.m3u8']);
+
+  const notHls = await probeLink(`${baseUrl}/not-hls.m3u8`, { hls: true });
+  assert.strictEqual(notHls.error, 'Not an HLS playlist');
+
+  const empty = await probeLink(`${baseUrl}/empty.m3u8`, { hls: true });
+  assert.strictEqual(empty.error, 'Playlist has no segments');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fse = require('fs-extra');
+const { createFixtureMetadataProvider } = require('../lib/metadata-providers');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'metadata-fixture.json');
+
+test('fixture provider searches movies and series by partial, case-insensitive name', async () => {
+  const provider = createFixtureMetadataProvider(FIXTURE_PATH);
+
+  const movies = await provider.search('movie', 'living DEAD');
+  assert.deepStrictEqual(movies, [{
+    id: 'night-of-the-living-dead',
+    title: 'Night of the Living Dead',
+    year: 1968,
+    thumbnail: 'https://example.com/posters/night-of-the-living-dead.jpg'
+  }]);
+
+  const series = await provider.search('series', 'lucy');
+  assert.deepStrictEqual(series.map(match => match.id), ['the-lucy-show']);
+  assert.deepStrictEqual(await provider.search('series', 'living dead'), []);
+});
+
+test('fixture provider returns details without the fixture id', async () => {
+  const provider = createFixtureMetadataProvider(FIXTURE_PATH);
+
+  const movie = await provider.details('movie', 'the-general');
+  assert.strictEqual(movie.id, undefined);
+  assert.strictEqual(movie.name, 'The General');
+  assert.deepStrictEqual(movie.genres, ['Comedy', 'Action']);
+
+  const series = await provider.details('series', 'the-lucy-show');
+  assert.strictEqual(series.seasons.length, 1);
+  assert.deepStrictEqual(series.seasons[0].episodes.map(episode => episode.episodeNumber), [1, 2, 3]);
+
+  await assert.rejects(provider.details('movie', 'the-lucy-show'), /No movie with id the-lucy-show/);
+});
+
+test('fixture provider picks up edits to the file without a restart', async () => {
+  const filePath = path.join(await fse.mkdtemp(path.join(os.tmpdir(), 'movtv-fixture-')), 'fixture.json');
+  const provider = createFixtureMetadataProvider(filePath);
+  try {
+    await fse.writeJson(filePath, { movies: [{ id: 1, name: 'First Cut' }] });
+    assert.deepStrictEqual((await provider.search('movie', 'cut')).map(match => match.title), ['First Cut']);
+
+    await fse.writeJson(filePath, { movies: [{ id: 1, name: 'Director\'s Cut' }] });
+    assert.deepStrictEqual((await provider.search('movie', 'cut')).map(match => match.title), ['Director\'s Cut']);
+    assert.deepStrictEqual(await provider.search('series', 'cut'), []);
+  } finally {
+    await fse.remove(path.dirname(filePath));
+  }
+});